@@ -0,0 +1,179 @@
+const { ethers } = require('ethers');
+
+// Watches the lending contract's admin and emergency events
+//
+// Events come from the shared log scanner and are kept in a capped list, along with
+// the current blacklist and role members derived from them. Critical events are
+// passed to `sendAlert`, except during the first backfill where they are history.
+// `refreshState()` reads the live emergency, pause and fee wallet state.
+
+const EVENTS_KEY = 'admin-monitor:events';
+const BLACKLIST_KEY = 'admin-monitor:blacklist';
+const ROLES_KEY = 'admin-monitor:roles';
+const MAX_EVENTS = 1000;
+
+const WATCHED_EVENTS = [
+  'EmergencyModeEnabled',
+  'EmergencyModeDisabled',
+  'EmergencyPauseSet',
+  'EmergencyWithdraw',
+  'EmergencyNFTWithdraw',
+  'Paused',
+  'Unpaused',
+  'AddressBlacklisted',
+  'AddressUnblacklisted',
+  'RoleGranted',
+  'RoleRevoked',
+  'RoleAdminChanged',
+  'FeeWalletsUpdated'
+];
+
+const CRITICAL_EVENTS = new Set([
+  'EmergencyModeEnabled',
+  'EmergencyModeDisabled',
+  'EmergencyPauseSet',
+  'EmergencyWithdraw',
+  'EmergencyNFTWithdraw',
+  'Paused',
+  'Unpaused',
+  'RoleGranted',
+  'RoleRevoked',
+  'RoleAdminChanged',
+  'FeeWalletsUpdated'
+]);
+
+const ROLE_NAMES = {
+  [ethers.constants.HashZero]: 'DEFAULT_ADMIN_ROLE',
+  [ethers.utils.id('ADMIN_ROLE')]: 'ADMIN_ROLE',
+  [ethers.utils.id('OPERATOR_ROLE')]: 'OPERATOR_ROLE'
+};
+
+const roleName = role => ROLE_NAMES[role] || role;
+
+// Named event args as JSON-friendly values
+function plainArgs(parsed) {
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  });
+  return args;
+}
+
+function describe(name, args) {
+  switch (name) {
+    case 'EmergencyModeEnabled': return 'Emergency mode was ENABLED';
+    case 'EmergencyModeDisabled': return 'Emergency mode was disabled';
+    case 'EmergencyPauseSet': return `Emergency pause was ${args.isPaused ? 'SET' : 'lifted'}`;
+    case 'EmergencyWithdraw': return `Emergency withdrawal of ${ethers.utils.formatEther(args.amount)} from ${args.token}`;
+    case 'EmergencyNFTWithdraw': return `Emergency withdrawal of NFT ${args.nftContract} #${args.tokenId}`;
+    case 'Paused': return `Contract paused by ${args.account}`;
+    case 'Unpaused': return `Contract unpaused by ${args.account}`;
+    case 'AddressBlacklisted': return `${args.user} was blacklisted`;
+    case 'AddressUnblacklisted': return `${args.user} was removed from the blacklist`;
+    case 'RoleGranted': return `${roleName(args.role)} granted to ${args.account} by ${args.sender}`;
+    case 'RoleRevoked': return `${roleName(args.role)} revoked from ${args.account} by ${args.sender}`;
+    case 'RoleAdminChanged': return `Admin role of ${roleName(args.role)} changed from ${roleName(args.previousAdminRole)} to ${roleName(args.newAdminRole)}`;
+    case 'FeeWalletsUpdated': return `Fee wallets changed to ${args.wallet1}, ${args.wallet2}, ${args.wallet3}`;
+    default: return name;
+  }
+}
+
+function createAdminMonitor({ kv, lendingContract, logScanner, sendAlert }) {
+  const state = { data: null, lastUpdated: null };
+
+  // Keep the derived blacklist and role membership in step with events
+  async function applyEvent(event) {
+    const { name, args } = event;
+
+    if (name === 'AddressBlacklisted') {
+      await kv.hset(BLACKLIST_KEY, args.user.toLowerCase(), { address: args.user, since: event.blockNumber });
+    } else if (name === 'AddressUnblacklisted') {
+      await kv.hdel(BLACKLIST_KEY, args.user.toLowerCase());
+    } else if (name === 'RoleGranted' || name === 'RoleRevoked') {
+      const members = new Set(await kv.hget(ROLES_KEY, args.role) || []);
+      if (name === 'RoleGranted') members.add(args.account);
+      else members.delete(args.account);
+      await kv.hset(ROLES_KEY, args.role, Array.from(members));
+    }
+  }
+
+  // Events from the first backfill are recorded but not alerted
+  async function handleEvent(parsed, log, { initialSync }) {
+    const args = plainArgs(parsed);
+    const event = {
+      name: parsed.name,
+      args,
+      description: describe(parsed.name, args),
+      critical: CRITICAL_EVENTS.has(parsed.name),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      seenAt: Date.now()
+    };
+
+    await applyEvent(event);
+    await kv.push(EVENTS_KEY, event, MAX_EVENTS);
+
+    if (event.critical && !initialSync) {
+      try {
+        await sendAlert(event);
+      } catch (error) {
+        console.error(`Error sending alert for ${event.name}:`, error);
+      }
+    }
+  }
+
+  logScanner.subscribe('admin-monitor', { events: WATCHED_EVENTS, onEvent: handleEvent });
+
+  async function refreshState() {
+    const [emergency, paused, wallet1, wallet2, wallet3, version] = await Promise.all([
+      lendingContract.getEmergencyState(),
+      lendingContract.paused(),
+      lendingContract.wallet1(),
+      lendingContract.wallet2(),
+      lendingContract.wallet3(),
+      lendingContract.getContractVersion()
+    ]);
+
+    state.data = {
+      version,
+      paused,
+      emergencyMode: emergency.isEmergencyMode,
+      emergencyPaused: emergency.isEmergencyPaused,
+      contractBalance: ethers.utils.formatEther(emergency.contractBalance),
+      totalLockedValue: ethers.utils.formatEther(emergency.totalLockedValue),
+      activeLoans: emergency.activeLoansCount.toNumber(),
+      feeWallets: [wallet1, wallet2, wallet3]
+    };
+    state.lastUpdated = new Date();
+    return state.data;
+  }
+
+  // Live state plus what we've derived from events
+  async function status() {
+    const current = state.data || await refreshState();
+    const roles = await kv.hgetall(ROLES_KEY);
+
+    return {
+      ...current,
+      blacklisted: Object.values(await kv.hgetall(BLACKLIST_KEY)),
+      roles: Object.entries(roles).map(([role, members]) => ({ role: roleName(role), members })),
+      lastEventBlock: await logScanner.getCursor(),
+      lastUpdated: state.lastUpdated
+    };
+  }
+
+  async function events({ limit = 50 } = {}) {
+    return kv.range(EVENTS_KEY, 0, limit - 1);
+  }
+
+  return {
+    refreshState,
+    status,
+    events
+  };
+}
+
+module.exports = {
+  createAdminMonitor
+};
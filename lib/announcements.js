@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+
+// Discord announcement feeds
+//
+// Four feeds, each posted as embeds to its own channel with its own threshold and
+// cooldown:
+//   floor  - a collection's floor moved at least `threshold` percent since it was last announced
+//   offers - a new loan or collection offer of at least `threshold` APE
+//   loans  - a loan of at least `threshold` APE was accepted, repaid or defaulted
+//   ranks  - a wallet moved at least `threshold` places on the leaderboard
+// Cooldowns apply per collection (per leaderboard update for ranks), start once an
+// announcement is actually posted and are kept in the key/value store so they survive
+// restarts. A feed without a channel is off.
+
+const cooldownKey = (feed, subject) => `announcement-cooldown:${feed}:${subject}`;
+const floorBaseKey = address => `announcement:floor-base:${address}`;
+
+const COLORS = {
+  up: 0x2ecc71,
+  down: 0xe74c3c,
+  info: 0x3498db,
+  warning: 0xf39c12
+};
+
+const MAX_RANK_MOVES = 10;
+
+const toApe = wei => Number(ethers.utils.formatEther(wei));
+const shortAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+function createAnnouncements({ kv, feeds, collectionRegistry, walletLinks, sendEmbed }) {
+  // Wallet -> rank from the previous leaderboard update; the first update only sets it
+  let previousRanks = null;
+
+  const collectionName = address => collectionRegistry.get(address)?.name || shortAddress(address);
+
+  // Post unless the feed is off or cooling down for this subject
+  async function post(feedName, subject, embed) {
+    const feed = feeds[feedName];
+    if (!feed?.channelId) return false;
+
+    if (feed.cooldownMs > 0 && await kv.get(cooldownKey(feedName, subject))) return false;
+
+    try {
+      await sendEmbed(feed.channelId, { ...embed, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Error posting ${feedName} announcement:`, error);
+      return false;
+    }
+
+    if (feed.cooldownMs > 0) {
+      await kv.set(cooldownKey(feedName, subject), Date.now(), feed.cooldownMs);
+    }
+    return true;
+  }
+
+  // refreshFloorPrice hook
+  async function floorUpdated(collection, floorPriceData) {
+    if (!feeds.floor?.channelId) return;
+
+    const address = collection.contractAddress;
+    const current = Number(floorPriceData.floorPrice);
+    const base = await kv.get(floorBaseKey(address));
+    if (base === null) {
+      await kv.set(floorBaseKey(address), current);
+      return;
+    }
+
+    const change = base > 0 ? ((current - base) / base) * 100 : 0;
+    if (Math.abs(change) < feeds.floor.threshold) return;
+
+    const posted = await post('floor', address, {
+      title: `${collection.name} floor ${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}%`,
+      color: change > 0 ? COLORS.up : COLORS.down,
+      fields: [
+        { name: 'Floor', value: `${current.toFixed(2)} APE`, inline: true },
+        { name: 'Was', value: `${Number(base).toFixed(2)} APE`, inline: true },
+        ...(floorPriceData.floorPriceUSD ? [{ name: 'USD', value: `$${Number(floorPriceData.floorPriceUSD).toFixed(2)}`, inline: true }] : [])
+      ],
+      footer: { text: `Source: ${floorPriceData.source}` }
+    });
+
+    // Moves held back by the cooldown still count from the old base
+    if (posted) await kv.set(floorBaseKey(address), current);
+  }
+
+  async function offerCreated(name, offer) {
+    const amount = toApe(offer.loanAmount);
+    if (amount < feeds.offers.threshold) return;
+
+    const target = offer.isCollectionWide ? 'any NFT' : `#${offer.tokenId}`;
+    await post('offers', offer.nftContract, {
+      title: `New ${amount.toFixed(2)} APE ${name === 'CollectionOfferCreated' ? 'collection offer' : 'loan offer'}`,
+      description: `${collectionName(offer.nftContract)}, ${target}`,
+      color: COLORS.info,
+      fields: [
+        { name: 'APY', value: `${(offer.apy / 100).toFixed(2)}%`, inline: true },
+        { name: 'Duration', value: `${Math.round(offer.duration / 86400)} days`, inline: true },
+        { name: 'Lender', value: shortAddress(offer.lender), inline: true }
+      ],
+      footer: { text: `Offer #${offer.offerId}` }
+    });
+  }
+
+  async function loanUpdated(name, offer) {
+    const amount = toApe(offer.loanAmount);
+    if (amount < feeds.loans.threshold) return;
+
+    const outcomes = {
+      LoanAccepted: { verb: 'accepted', color: COLORS.info },
+      LoanRepaid: { verb: 'repaid', color: COLORS.up },
+      LoanDefaulted: { verb: 'defaulted', color: COLORS.warning }
+    };
+    const { verb, color } = outcomes[name];
+
+    await post('loans', offer.nftContract, {
+      title: `${amount.toFixed(2)} APE loan ${verb}`,
+      description: `${collectionName(offer.nftContract)}${offer.tokenId ? ` #${offer.tokenId}` : ''}`,
+      color,
+      fields: [
+        { name: 'Lender', value: shortAddress(offer.lender), inline: true },
+        ...(offer.borrower ? [{ name: 'Borrower', value: shortAddress(offer.borrower), inline: true }] : []),
+        ...(name === 'LoanAccepted' && offer.dueDate ? [{ name: 'Due', value: `<t:${offer.dueDate}:R>`, inline: true }] : [])
+      ],
+      footer: { text: `Loan #${offer.offerId}` }
+    });
+  }
+
+  // Lending indexer hook; history replayed by the first sync isn't news
+  async function lendingEvent(name, offer, log, { initialSync = false } = {}) {
+    if (initialSync) return;
+
+    if ((name === 'LoanOfferCreated' || name === 'CollectionOfferCreated') && feeds.offers?.channelId) {
+      await offerCreated(name, offer);
+    } else if (['LoanAccepted', 'LoanRepaid', 'LoanDefaulted'].includes(name) && feeds.loans?.channelId) {
+      await loanUpdated(name, offer);
+    }
+  }
+
+  // Leaderboard refresh hook: one embed listing the biggest moves
+  async function leaderboardUpdated(entries) {
+    const ranks = new Map(entries.map(entry => [entry.address.toLowerCase(), entry.rank]));
+    const previous = previousRanks;
+    previousRanks = ranks;
+    if (!previous || !feeds.ranks?.channelId) return;
+
+    const moves = entries
+      .filter(entry => previous.has(entry.address.toLowerCase()))
+      .map(entry => ({ ...entry, change: previous.get(entry.address.toLowerCase()) - entry.rank }))
+      .filter(entry => Math.abs(entry.change) >= feeds.ranks.threshold)
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, MAX_RANK_MOVES);
+    if (moves.length === 0) return;
+
+    // Discord names only for users who opted in to being shown on the leaderboard
+    const usernames = new Map();
+    (await walletLinks.list())
+      .filter(link => link.leaderboardOptIn)
+      .forEach(link => (link.wallets || []).forEach(wallet => usernames.set(wallet.toLowerCase(), link.username)));
+
+    await post('ranks', 'leaderboard', {
+      title: 'Leaderboard movers',
+      color: COLORS.info,
+      description: moves.map(move => {
+        const who = usernames.get(move.address.toLowerCase()) || shortAddress(move.address);
+        const arrow = move.change > 0 ? `⬆️ ${move.change}` : `⬇️ ${-move.change}`;
+        return `${arrow} **${who}** now #${move.rank} (${move.points} points)`;
+      }).join('\n')
+    });
+  }
+
+  return {
+    floorUpdated,
+    lendingEvent,
+    leaderboardUpdated
+  };
+}
+
+module.exports = {
+  createAnnouncements
+};
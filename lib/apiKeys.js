@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+// API key registry
+//
+// Keys look like `aec_<id>_<secret>`. Only a SHA-256 hash of each key is stored, in a
+// hash keyed by the id embedded in the key, alongside its name, scopes, per-minute
+// rate limit, expiry and revocation. The plaintext is returned once, when a key is
+// issued or rotated. Keys from the environment (BOT_API_KEY, FRONTEND_API_KEY,
+// ADMIN_API_KEY) keep working with fixed scopes so existing clients don't break.
+
+const KEYS_KEY = 'api-keys';
+const LAST_USED_INTERVAL = 5 * 60 * 1000;
+
+// `admin` implies every other scope
+const SCOPES = ['bot', 'frontend:read', 'admin'];
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function hashesMatch(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// What's safe to show: everything except the hash
+function publicRecord({ keyHash, ...record }) {
+  return record;
+}
+
+function createApiKeyRegistry(kv, { envKeys = [] } = {}) {
+  const fromEnv = envKeys
+    .filter(envKey => envKey.key)
+    .map(envKey => ({
+      id: `env:${envKey.name}`,
+      name: envKey.name,
+      scopes: envKey.scopes,
+      rateLimit: null,
+      expiresAt: null,
+      keyHash: hashKey(envKey.key)
+    }));
+
+  function isUsable(record, now = Date.now()) {
+    return !record.revokedAt && (!record.expiresAt || record.expiresAt > now);
+  }
+
+  async function issue({ name, scopes, rateLimit = null, expiresAt = null, rotatedFrom = null }) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `aec_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const record = {
+      id,
+      name,
+      scopes,
+      rateLimit,
+      expiresAt,
+      keyHash: hashKey(key),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedFrom,
+      rotatedTo: null
+    };
+    await kv.hset(KEYS_KEY, id, record);
+
+    return { key, record: publicRecord(record) };
+  }
+
+  // The key's record if it is valid, otherwise null
+  async function verify(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const keyHash = hashKey(key);
+
+    const envRecord = fromEnv.find(record => hashesMatch(record.keyHash, keyHash));
+    if (envRecord) return publicRecord(envRecord);
+
+    const match = /^aec_([0-9a-f]{8})_/.exec(key);
+    if (!match) return null;
+
+    const record = await kv.hget(KEYS_KEY, match[1]);
+    if (!record || !hashesMatch(record.keyHash, keyHash) || !isUsable(record)) return null;
+
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt > LAST_USED_INTERVAL) {
+      record.lastUsedAt = Date.now();
+      await kv.hset(KEYS_KEY, record.id, record);
+    }
+
+    return publicRecord(record);
+  }
+
+  // Replace a key with a new one with the same settings. The old key keeps working for
+  // `gracePeriod` ms so clients can switch over.
+  async function rotate(id, { gracePeriod = 0 } = {}) {
+    const record = await kv.hget(KEYS_KEY, id);
+    if (!record || !isUsable(record)) return null;
+
+    const issued = await issue({
+      name: record.name,
+      scopes: record.scopes,
+      rateLimit: record.rateLimit,
+      expiresAt: record.expiresAt,
+      rotatedFrom: id
+    });
+
+    const graceEnd = Date.now() + gracePeriod;
+    record.expiresAt = record.expiresAt ? Math.min(record.expiresAt, graceEnd) : graceEnd;
+    record.rotatedTo = issued.record.id;
+    await kv.hset(KEYS_KEY, id, record);
+
+    return issued;
+  }
+
+  async function revoke(id) {
+    const record = await kv.hget(KEYS_KEY, id);
+    if (!record) return null;
+
+    record.revokedAt = record.revokedAt || Date.now();
+    await kv.hset(KEYS_KEY, id, record);
+    return publicRecord(record);
+  }
+
+  async function list() {
+    const stored = Object.values(await kv.hgetall(KEYS_KEY)).map(record => ({
+      ...publicRecord(record),
+      active: isUsable(record)
+    }));
+    const env = fromEnv.map(record => ({ ...publicRecord(record), active: true }));
+    return [...env, ...stored.sort((a, b) => b.createdAt - a.createdAt)];
+  }
+
+  return {
+    issue,
+    verify,
+    rotate,
+    revoke,
+    list
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createApiKeyRegistry
+};
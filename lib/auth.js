@@ -0,0 +1,35 @@
+// API key middleware
+//
+// Checks the x-api-key header against the key registry (req.app.get('apiKeys')) and
+// lets the request through if the key has any of the given scopes, or `admin`. Keys
+// with their own rate limit then go through the per-key limiter.
+function requireScope(...scopes) {
+  return async (req, res, next) => {
+    try {
+      const apiKeys = req.app.get('apiKeys');
+      const apiKey = await apiKeys.verify(req.headers['x-api-key']);
+      if (!apiKey) {
+        return res.status(403).json({ error: 'Invalid API key' });
+      }
+
+      if (!apiKey.scopes.includes('admin') && !scopes.some(scope => apiKey.scopes.includes(scope))) {
+        return res.status(403).json({ error: `API key needs one of these scopes: ${scopes.join(', ')}` });
+      }
+
+      req.apiKey = apiKey;
+
+      const limiter = req.app.get('apiKeyLimiter');
+      if (apiKey.rateLimit && limiter) {
+        return limiter(req, res, next);
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking API key:', error);
+      res.status(500).json({ error: 'Failed to check API key' });
+    }
+  };
+}
+
+module.exports = {
+  requireScope
+};
@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+
+// Follows ERC-721 Transfer events on the tracked collections and activity on the
+// staking contract, and reports which wallets were touched.
+//
+// Progress is stored as a block cursor in the key/value store, so after a restart
+// the watcher catches up on every block it missed, in chunks the RPC will accept.
+// A range's activity is stored before the cursor moves past it and cleared once
+// `onActivity` has taken it, so a restart in between hands it over again.
+// Staking moves NFTs into the staking contract, so stake/unstake shows up as a
+// Transfer to or from it; the staking contract declares no events of its own.
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const CURSOR_KEY = 'chain-watcher:cursor';
+const PENDING_KEY = 'chain-watcher:pending';
+const ZERO_ADDRESS = ethers.constants.AddressZero.toLowerCase();
+
+function topicToAddress(topic) {
+  return ethers.utils.getAddress(`0x${topic.slice(26)}`).toLowerCase();
+}
+
+function createChainWatcher({
+  provider,
+  kv,
+  getCollections,
+  stakingAddress,
+  onActivity,
+  maxBlockRange = 2000,
+  confirmations = 2
+}) {
+  let running = false;
+  const stakingKey = stakingAddress.toLowerCase();
+
+  async function scanRange(fromBlock, toBlock) {
+    const touched = new Map();
+    const touch = (address, reason) => {
+      if (address === ZERO_ADDRESS) return;
+      if (!touched.has(address)) touched.set(address, new Set());
+      touched.get(address).add(reason);
+    };
+
+    for (const collection of getCollections()) {
+      const logs = await provider.getLogs({
+        address: collection,
+        topics: [TRANSFER_TOPIC],
+        fromBlock,
+        toBlock
+      });
+
+      logs.forEach(log => {
+        // ERC-20 Transfers share the topic but don't index the value
+        if (log.topics.length !== 4) return;
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+        const reason = from === stakingKey || to === stakingKey ? 'staking' : 'transfer';
+        touch(from, reason);
+        touch(to, reason);
+      });
+    }
+
+    // The staking contract itself isn't a user
+    touched.delete(stakingKey);
+    return touched;
+  }
+
+  async function deliver(pending) {
+    await onActivity(pending.activity, pending.range);
+    await kv.del(PENDING_KEY);
+  }
+
+  async function poll() {
+    if (running) return;
+    running = true;
+
+    try {
+      const head = (await provider.getBlockNumber()) - confirmations;
+      let cursor = await kv.get(CURSOR_KEY);
+
+      // Activity whose handoff was interrupted goes out before anything newer
+      const pending = await kv.get(PENDING_KEY);
+      if (pending) await deliver(pending);
+
+      // First run: start from the head rather than replaying all history
+      if (cursor === null) {
+        await kv.set(CURSOR_KEY, head);
+        console.log(`Chain watcher starting at block ${head}`);
+        return;
+      }
+
+      while (cursor < head) {
+        const fromBlock = cursor + 1;
+        const toBlock = Math.min(head, cursor + maxBlockRange);
+
+        const touched = await scanRange(fromBlock, toBlock);
+        const pending = touched.size > 0
+          ? {
+            activity: Array.from(touched.entries()).map(([address, reasons]) => ({
+              address,
+              reasons: Array.from(reasons)
+            })),
+            range: { fromBlock, toBlock }
+          }
+          : null;
+
+        // Only advance once the range's activity is stored
+        if (pending) await kv.set(PENDING_KEY, pending);
+        cursor = toBlock;
+        await kv.set(CURSOR_KEY, cursor);
+
+        if (pending) await deliver(pending);
+      }
+    } catch (error) {
+      console.error('Error polling chain events:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    poll,
+    getCursor: () => kv.get(CURSOR_KEY)
+  };
+}
+
+module.exports = {
+  createChainWatcher,
+  topicToAddress
+};
@@ -0,0 +1,220 @@
+const { ethers } = require('ethers');
+
+// Tracked collections, managed at runtime
+//
+// Collections live in the key/value store, keyed by contract address, and are mirrored
+// in memory so role evaluation, floor prices and pool stats can read them synchronously.
+// trackedCollections.js only seeds an empty registry. `syncWithLending()` adds
+// collections listed on the lending contract and records whether lending is active
+// for each; collections that were added by the sync also follow the contract's
+// active flag, while ones added by an admin keep their own. Removing a collection
+// leaves a tombstone so the sync doesn't add it straight back; creating it again
+// replaces the tombstone.
+
+const COLLECTIONS_KEY = 'collections';
+
+const EDITABLE_FIELDS = ['name', 'magicEdenSymbol', 'minCount', 'roles', 'active'];
+
+// Returns an error message for invalid fields, or null. `isNew` requires the fields a
+// new collection can't do without.
+function validateCollection(fields, { isNew = false } = {}) {
+  if (isNew) {
+    if (!ethers.utils.isAddress(fields.contractAddress || '')) return 'contractAddress must be a valid address';
+    if (fields.name === undefined) return 'name is required';
+  }
+
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (fields.magicEdenSymbol !== undefined && fields.magicEdenSymbol !== null && typeof fields.magicEdenSymbol !== 'string') {
+    return 'magicEdenSymbol must be a string';
+  }
+  if (fields.minCount !== undefined && (!Number.isInteger(fields.minCount) || fields.minCount < 1)) {
+    return 'minCount must be a positive integer';
+  }
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  if (fields.roles !== undefined) {
+    if (!Array.isArray(fields.roles)) return 'roles must be an array';
+    if (fields.roles.some(role => !role || typeof role.roleId !== 'string' || !role.roleId)) {
+      return 'Each role needs a roleId';
+    }
+  }
+
+  return null;
+}
+
+// Editable fields from a validated request body, in stored form
+function editableFields(fields) {
+  const clean = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) clean[field] = fields[field];
+  });
+
+  if (clean.name) clean.name = clean.name.trim();
+  if (clean.roles) {
+    clean.roles = clean.roles.map(role => ({
+      roleId: role.roleId,
+      name: role.name || null,
+      minCount: role.minCount ?? null,
+      guildId: role.guildId || null
+    }));
+  }
+  return clean;
+}
+
+function createCollectionRegistry({ kv, seed = [], lendingContract = null }) {
+  const entries = new Map();
+
+  function fromSeed(collection) {
+    return {
+      id: collection.id,
+      name: collection.name,
+      contractAddress: collection.contractAddress.toLowerCase(),
+      magicEdenSymbol: collection.magicEdenSymbol || null,
+      minCount: collection.minCount ?? 1,
+      roles: (collection.roles || []).filter(role => role.roleId),
+      active: true,
+      lendingActive: null,
+      source: 'seed',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // Serve the seed until the stored registry has loaded
+  seed.forEach(collection => entries.set(collection.contractAddress.toLowerCase(), fromSeed(collection)));
+
+  function nextId() {
+    return Math.max(0, ...Array.from(entries.values()).map(entry => entry.id || 0)) + 1;
+  }
+
+  async function save(entry) {
+    entry.updatedAt = Date.now();
+    entries.set(entry.contractAddress, entry);
+    await kv.hset(COLLECTIONS_KEY, entry.contractAddress, entry);
+    return entry;
+  }
+
+  async function load() {
+    const stored = await kv.hgetall(COLLECTIONS_KEY);
+
+    if (Object.keys(stored).length === 0) {
+      for (const entry of entries.values()) {
+        await kv.hset(COLLECTIONS_KEY, entry.contractAddress, entry);
+      }
+      console.log(`Seeded collections registry with ${entries.size} collections`);
+      return;
+    }
+
+    entries.clear();
+    Object.values(stored).forEach(entry => entries.set(entry.contractAddress, entry));
+  }
+
+  function list({ activeOnly = false } = {}) {
+    const all = Array.from(entries.values())
+      .filter(entry => !entry.removedAt)
+      .sort((a, b) => a.id - b.id);
+    return activeOnly ? all.filter(entry => entry.active) : all;
+  }
+
+  function get(contractAddress) {
+    const entry = entries.get(contractAddress.toLowerCase());
+    return entry && !entry.removedAt ? entry : null;
+  }
+
+  // Expects fields that passed validateCollection(fields, { isNew: true })
+  async function create(fields) {
+    const clean = editableFields(fields);
+
+    return save({
+      id: nextId(),
+      name: clean.name,
+      contractAddress: fields.contractAddress.toLowerCase(),
+      magicEdenSymbol: clean.magicEdenSymbol ?? null,
+      minCount: clean.minCount ?? 1,
+      roles: clean.roles || [],
+      active: clean.active ?? true,
+      lendingActive: null,
+      source: 'admin',
+      createdAt: Date.now()
+    });
+  }
+
+  async function update(contractAddress, fields) {
+    const entry = get(contractAddress);
+    if (!entry) return null;
+
+    // Once an admin edits a synced collection, they own its active flag
+    return save({ ...entry, ...editableFields(fields), source: entry.source === 'lending-contract' ? 'admin' : entry.source });
+  }
+
+  async function remove(contractAddress) {
+    const entry = get(contractAddress);
+    if (!entry) return false;
+
+    await save({ ...entry, active: false, removedAt: Date.now() });
+    return true;
+  }
+
+  // Pick up collections added to or (de)activated on the lending contract
+  async function syncWithLending() {
+    if (!lendingContract) return { added: [], updated: [] };
+
+    // Another instance may have changed the registry
+    await load();
+
+    const added = [];
+    const updated = [];
+    const addresses = await lendingContract.getAllCollectionAddresses();
+
+    for (const address of addresses) {
+      const entry = entries.get(address.toLowerCase());
+      if (entry?.removedAt) continue;
+
+      const onChain = await lendingContract.collections(address);
+      if (!entry) {
+        added.push(await save({
+          id: nextId(),
+          name: onChain.name || address,
+          contractAddress: address.toLowerCase(),
+          magicEdenSymbol: null,
+          minCount: 1,
+          roles: [],
+          active: onChain.isActive,
+          lendingActive: onChain.isActive,
+          source: 'lending-contract',
+          createdAt: Date.now()
+        }));
+        continue;
+      }
+
+      if (entry.lendingActive !== onChain.isActive) {
+        entry.lendingActive = onChain.isActive;
+        if (entry.source === 'lending-contract') entry.active = onChain.isActive;
+        updated.push(await save(entry));
+      }
+    }
+
+    if (added.length > 0 || updated.length > 0) {
+      console.log(`Collections registry synced: ${added.length} added, ${updated.length} updated`);
+    }
+    return { added, updated };
+  }
+
+  return {
+    load,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    syncWithLending
+  };
+}
+
+module.exports = {
+  validateCollection,
+  createCollectionRegistry
+};
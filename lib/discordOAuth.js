@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Discord OAuth2 authorization-code flow
+//
+// `authorizationUrl()` stores a one-time state and returns it with the Discord consent
+// URL, so the caller can also bind it to the browser; `complete(code, state)` consumes
+// that state, exchanges the code for an access token and returns the user's identity.
+// The endpoints are configurable so the flow can be pointed at a local stand-in for
+// Discord.
+
+const STATE_TTL = 10 * 60 * 1000;
+const stateKey = state => `discord-oauth-state:${state}`;
+
+function createDiscordOAuth({
+  kv,
+  clientId,
+  clientSecret,
+  redirectUri,
+  authorizeUrl = 'https://discord.com/oauth2/authorize',
+  apiUrl = 'https://discord.com/api/v10',
+  timeout = 10000
+}) {
+  const configured = Boolean(clientId && clientSecret && redirectUri);
+
+  async function authorizationUrl() {
+    const state = crypto.randomBytes(16).toString('hex');
+    await kv.set(stateKey(state), { createdAt: Date.now() }, STATE_TTL);
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'identify',
+      state
+    });
+    return { url: `${authorizeUrl}?${params}`, state };
+  }
+
+  // Each state can be used once
+  async function takeState(state) {
+    if (!state) return false;
+    const stored = await kv.get(stateKey(state));
+    await kv.del(stateKey(state));
+    return Boolean(stored);
+  }
+
+  async function exchangeCode(code) {
+    const response = await fetch(`${apiUrl}/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri
+      }),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Discord token exchange failed with HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async function fetchUser(accessToken) {
+    const response = await fetch(`${apiUrl}/users/@me`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Discord user lookup failed with HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // The Discord identity behind an authorization code, or null if the state is unknown
+  async function complete(code, state) {
+    if (!await takeState(state)) return null;
+
+    const token = await exchangeCode(code);
+    const user = await fetchUser(token.access_token);
+    return { discordId: user.id, username: user.username };
+  }
+
+  return {
+    configured,
+    authorizationUrl,
+    complete
+  };
+}
+
+module.exports = {
+  STATE_TTL,
+  createDiscordOAuth
+};
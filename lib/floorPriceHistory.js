@@ -0,0 +1,117 @@
+// Persisted floor price samples per collection
+//
+// Every successful floor price refresh is appended to a capped list per collection.
+// Samples can be read raw, bucketed into OHLC candles, or compared against the price
+// 1h, 24h and 7d ago; `summary` does both of the latter from a single read.
+
+const MAX_SAMPLES = 20000;
+const historyKey = address => `floor-price:history:${address.toLowerCase()}`;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const CHANGE_WINDOWS = {
+  '1h': UNIT_MS.h,
+  '24h': UNIT_MS.d,
+  '7d': UNIT_MS.w
+};
+
+// "15m", "4h", "1d", "1w" -> milliseconds, or null if unparseable
+function parseInterval(interval) {
+  const match = /^(\d+)([mhdw])$/.exec(interval || '');
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+function percentChange(from, to) {
+  return Math.round(((to - from) / from) * 10000) / 100;
+}
+
+// Stored samples (newest first) between two timestamps (ms), oldest first
+function inRange(stored, { from = 0, to = Date.now() } = {}) {
+  return stored
+    .filter(sample => sample.timestamp >= from && sample.timestamp <= to)
+    .reverse();
+}
+
+// OHLC candles aligned to multiples of `intervalMs`; empty buckets are skipped
+function toCandles(stored, { from, to, intervalMs }) {
+  const buckets = new Map();
+
+  inRange(stored, { from, to }).forEach(sample => {
+    const start = Math.floor(sample.timestamp / intervalMs) * intervalMs;
+    const candle = buckets.get(start);
+    if (!candle) {
+      buckets.set(start, {
+        time: start,
+        open: sample.floorPrice,
+        high: sample.floorPrice,
+        low: sample.floorPrice,
+        close: sample.floorPrice,
+        samples: 1
+      });
+      return;
+    }
+
+    candle.high = Math.max(candle.high, sample.floorPrice);
+    candle.low = Math.min(candle.low, sample.floorPrice);
+    candle.close = sample.floorPrice;
+    candle.samples++;
+  });
+
+  return Array.from(buckets.values());
+}
+
+// Percentage change from the last sample at or before each window start to the latest
+function toChanges(stored) {
+  const result = {};
+  if (stored.length === 0) {
+    Object.keys(CHANGE_WINDOWS).forEach(window => { result[window] = null; });
+    return result;
+  }
+
+  const [latest] = stored;
+  Object.entries(CHANGE_WINDOWS).forEach(([window, ms]) => {
+    const before = stored.find(sample => sample.timestamp <= latest.timestamp - ms);
+    result[window] = before ? percentChange(before.floorPrice, latest.floorPrice) : null;
+  });
+  return result;
+}
+
+function createFloorPriceHistory(kv) {
+  const read = address => kv.range(historyKey(address), 0, -1);
+
+  async function record(address, { floorPrice, source, timestamp = Date.now() }) {
+    await kv.push(historyKey(address), { timestamp, floorPrice, source }, MAX_SAMPLES);
+  }
+
+  async function samples(address, range) {
+    return inRange(await read(address), range);
+  }
+
+  async function candles(address, options) {
+    return toCandles(await read(address), options);
+  }
+
+  async function changes(address) {
+    return toChanges(await read(address));
+  }
+
+  // Candles and changes together, for the history endpoint
+  async function summary(address, options) {
+    const stored = await read(address);
+    return { candles: toCandles(stored, options), change: toChanges(stored) };
+  }
+
+  return {
+    record,
+    samples,
+    candles,
+    changes,
+    summary
+  };
+}
+
+module.exports = {
+  parseInterval,
+  createFloorPriceHistory
+};
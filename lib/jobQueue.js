@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+
+// Job queue with claim/lease semantics
+//
+// Every queue exposes the same async interface:
+//   enqueue(payload, { idempotencyKey })  - add a job (duplicates of a live or recent key return the original)
+//   claim({ limit, visibilityTimeout })   - lease up to `limit` ready jobs
+//   ack(jobId, leaseId)                   - job done, remove it
+//   fail(jobId, leaseId, error)           - retry later with backoff, or dead-letter it
+//   deadLetters(), retryDeadLetter(jobId), stats()
+// A claimed job that isn't acked or failed before its lease expires becomes
+// claimable again, so nothing is lost if a consumer crashes mid-batch.
+
+const DEFAULT_VISIBILITY_TIMEOUT = 60 * 1000;
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+function backoffDelay(attempts, baseDelay, maxDelay) {
+  return Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempts - 1));
+}
+
+function newLeaseId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function createMemoryJobQueue({ maxAttempts = 5, baseDelay = 5000, maxDelay = 10 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const idempotencyKeys = new Map();
+  const dead = [];
+
+  // Return leases that timed out to the ready state
+  function releaseExpiredLeases(now) {
+    jobs.forEach(job => {
+      if (job.status === 'leased' && job.leaseExpiresAt <= now) {
+        job.status = 'pending';
+        job.leaseId = null;
+        job.availableAt = now;
+      }
+    });
+  }
+
+  function deadLetter(job, error) {
+    job.status = 'dead';
+    job.lastError = error || job.lastError;
+    job.leaseId = null;
+    dead.unshift(job.id);
+  }
+
+  return {
+    type: 'memory',
+
+    async enqueue(payload, { idempotencyKey } = {}) {
+      const now = Date.now();
+
+      if (idempotencyKey) {
+        const existing = idempotencyKeys.get(idempotencyKey);
+        if (existing && existing.expiresAt > now) {
+          return { ...(jobs.get(existing.jobId) || { id: existing.jobId }), duplicate: true };
+        }
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        payload,
+        idempotencyKey: idempotencyKey || null,
+        attempts: 0,
+        status: 'pending',
+        availableAt: now,
+        leaseId: null,
+        leaseExpiresAt: null,
+        lastError: null,
+        createdAt: now
+      };
+
+      jobs.set(job.id, job);
+      if (idempotencyKey) {
+        idempotencyKeys.set(idempotencyKey, { jobId: job.id, expiresAt: now + IDEMPOTENCY_TTL });
+      }
+
+      return { ...job };
+    },
+
+    async claim({ limit = 10, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT } = {}) {
+      const now = Date.now();
+      releaseExpiredLeases(now);
+
+      const ready = Array.from(jobs.values())
+        .filter(job => job.status === 'pending' && job.availableAt <= now)
+        .sort((a, b) => a.availableAt - b.availableAt);
+
+      const claimed = [];
+      for (const job of ready) {
+        if (claimed.length >= limit) break;
+
+        // A job that keeps timing out is dead-lettered like one that keeps failing
+        if (job.attempts >= maxAttempts) {
+          deadLetter(job, 'Lease expired too many times');
+          continue;
+        }
+
+        job.attempts++;
+        job.status = 'leased';
+        job.leaseId = newLeaseId();
+        job.leaseExpiresAt = now + visibilityTimeout;
+        claimed.push({ ...job });
+      }
+
+      return claimed;
+    },
+
+    async ack(jobId, leaseId) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== 'leased' || job.leaseId !== leaseId) return false;
+      jobs.delete(jobId);
+      return true;
+    },
+
+    async fail(jobId, leaseId, error) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== 'leased' || job.leaseId !== leaseId) return false;
+
+      job.lastError = error || null;
+      if (job.attempts >= maxAttempts) {
+        deadLetter(job, error);
+      } else {
+        job.status = 'pending';
+        job.leaseId = null;
+        job.availableAt = Date.now() + backoffDelay(job.attempts, baseDelay, maxDelay);
+      }
+      return true;
+    },
+
+    async deadLetters() {
+      return dead.map(jobId => jobs.get(jobId)).filter(Boolean).map(job => ({ ...job }));
+    },
+
+    async retryDeadLetter(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || job.status !== 'dead') return false;
+
+      dead.splice(dead.indexOf(jobId), 1);
+      job.status = 'pending';
+      job.attempts = 0;
+      job.availableAt = Date.now();
+      return true;
+    },
+
+    async stats() {
+      const now = Date.now();
+      releaseExpiredLeases(now);
+
+      const all = Array.from(jobs.values());
+      return {
+        pending: all.filter(job => job.status === 'pending').length,
+        leased: all.filter(job => job.status === 'leased').length,
+        dead: dead.length
+      };
+    }
+  };
+}
+
+// Lua keeps claim and settle atomic when several consumers share one Redis
+const CLAIM_SCRIPT = `
+local now = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local visibility = tonumber(ARGV[3])
+local maxAttempts = tonumber(ARGV[4])
+
+local expired = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', now)
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[3], id)
+  redis.call('HDEL', KEYS[4], id)
+  redis.call('ZADD', KEYS[2], now, id)
+end
+
+-- Returned flat as id, attempts, leaseId, leaseExpiresAt for each claimed job
+local claimed = {}
+local count = 0
+while count < limit do
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', now, 'LIMIT', 0, 1)
+  if #ids == 0 then break end
+  local id = ids[1]
+  redis.call('ZREM', KEYS[2], id)
+
+  local attempts = tonumber(redis.call('HGET', KEYS[5], id) or '0')
+  if attempts >= maxAttempts then
+    redis.call('HSET', KEYS[6], id, 'Lease expired too many times')
+    redis.call('LPUSH', KEYS[7], id)
+  else
+    attempts = redis.call('HINCRBY', KEYS[5], id, 1)
+    local leaseId = ARGV[5] .. count
+    redis.call('HSET', KEYS[4], id, leaseId)
+    redis.call('ZADD', KEYS[3], now + visibility, id)
+    count = count + 1
+    table.insert(claimed, id)
+    table.insert(claimed, tostring(attempts))
+    table.insert(claimed, leaseId)
+  end
+end
+
+return claimed
+`;
+
+const SETTLE_SCRIPT = `
+local id = ARGV[1]
+if redis.call('HGET', KEYS[4], id) ~= ARGV[2] then return 0 end
+
+redis.call('ZREM', KEYS[3], id)
+redis.call('HDEL', KEYS[4], id)
+
+if ARGV[3] == 'ack' then
+  redis.call('HDEL', KEYS[1], id)
+  redis.call('HDEL', KEYS[5], id)
+  redis.call('HDEL', KEYS[6], id)
+  return 1
+end
+
+redis.call('HSET', KEYS[6], id, ARGV[4])
+local attempts = tonumber(redis.call('HGET', KEYS[5], id) or '0')
+if attempts >= tonumber(ARGV[5]) then
+  redis.call('LPUSH', KEYS[7], id)
+else
+  redis.call('ZADD', KEYS[2], tonumber(ARGV[6]), id)
+end
+return 1
+`;
+
+function createRedisJobQueue(redis, name, { maxAttempts = 5, baseDelay = 5000, maxDelay = 10 * 60 * 1000 } = {}) {
+  const prefix = `aec:queue:${name}`;
+  const keys = {
+    jobs: `${prefix}:jobs`,
+    ready: `${prefix}:ready`,
+    leased: `${prefix}:leased`,
+    leases: `${prefix}:leases`,
+    attempts: `${prefix}:attempts`,
+    errors: `${prefix}:errors`,
+    dead: `${prefix}:dead`
+  };
+  const scriptKeys = [keys.jobs, keys.ready, keys.leased, keys.leases, keys.attempts, keys.errors, keys.dead];
+  const idempotencyKey = key => `${prefix}:idempotency:${key}`;
+
+  async function loadJobs(ids) {
+    if (ids.length === 0) return [];
+    const [raw, attempts, errors] = await Promise.all([
+      redis.hmget(keys.jobs, ...ids),
+      redis.hmget(keys.attempts, ...ids),
+      redis.hmget(keys.errors, ...ids)
+    ]);
+
+    return ids.map((id, i) => raw[i] && {
+      ...JSON.parse(raw[i]),
+      attempts: parseInt(attempts[i], 10) || 0,
+      lastError: errors[i] || null
+    }).filter(Boolean);
+  }
+
+  return {
+    type: 'redis',
+
+    async enqueue(payload, { idempotencyKey: key } = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        payload,
+        idempotencyKey: key || null,
+        createdAt: Date.now()
+      };
+
+      if (key) {
+        const stored = await redis.set(idempotencyKey(key), job.id, 'PX', IDEMPOTENCY_TTL, 'NX');
+        if (stored === null) {
+          const existingId = await redis.get(idempotencyKey(key));
+          const [existing] = await loadJobs([existingId]);
+          return { ...(existing || { id: existingId }), duplicate: true };
+        }
+      }
+
+      await redis.multi()
+        .hset(keys.jobs, job.id, JSON.stringify(job))
+        .zadd(keys.ready, job.createdAt, job.id)
+        .exec();
+
+      return { ...job, attempts: 0, status: 'pending' };
+    },
+
+    async claim({ limit = 10, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT } = {}) {
+      const now = Date.now();
+      const flat = await redis.eval(
+        CLAIM_SCRIPT, scriptKeys.length, ...scriptKeys,
+        now, limit, visibilityTimeout, maxAttempts, newLeaseId()
+      );
+
+      const leases = new Map();
+      for (let i = 0; i < flat.length; i += 3) {
+        leases.set(flat[i], { attempts: Number(flat[i + 1]), leaseId: flat[i + 2] });
+      }
+
+      const loaded = await loadJobs(Array.from(leases.keys()));
+      return loaded.map(job => ({
+        ...job,
+        ...leases.get(job.id),
+        status: 'leased',
+        leaseExpiresAt: now + visibilityTimeout
+      }));
+    },
+
+    async ack(jobId, leaseId) {
+      return await redis.eval(SETTLE_SCRIPT, scriptKeys.length, ...scriptKeys, jobId, leaseId, 'ack') === 1;
+    },
+
+    async fail(jobId, leaseId, error) {
+      const attempts = parseInt(await redis.hget(keys.attempts, jobId), 10) || 0;
+      const retryAt = Date.now() + backoffDelay(attempts, baseDelay, maxDelay);
+
+      return await redis.eval(
+        SETTLE_SCRIPT, scriptKeys.length, ...scriptKeys,
+        jobId, leaseId, 'fail', error || '', maxAttempts, retryAt
+      ) === 1;
+    },
+
+    async deadLetters() {
+      const ids = await redis.lrange(keys.dead, 0, -1);
+      return (await loadJobs(ids)).map(job => ({ ...job, status: 'dead' }));
+    },
+
+    async retryDeadLetter(jobId) {
+      const removed = await redis.lrem(keys.dead, 0, jobId);
+      if (removed === 0) return false;
+
+      await redis.multi()
+        .hdel(keys.attempts, jobId)
+        .zadd(keys.ready, Date.now(), jobId)
+        .exec();
+      return true;
+    },
+
+    async stats() {
+      const [pending, leased, dead] = await Promise.all([
+        redis.zcard(keys.ready),
+        redis.zcard(keys.leased),
+        redis.llen(keys.dead)
+      ]);
+      return { pending, leased, dead };
+    }
+  };
+}
+
+function createJobQueue(redis, name, options) {
+  return redis ? createRedisJobQueue(redis, name, options) : createMemoryJobQueue(options);
+}
+
+module.exports = {
+  createJobQueue,
+  createMemoryJobQueue,
+  createRedisJobQueue
+};
@@ -0,0 +1,153 @@
+// Generic JSON key/value storage, with the same in-memory / Redis split as the session store
+//
+// Every store exposes the same async interface:
+//   get(key), set(key, value, ttlMs), setIfAbsent(key, value, ttlMs), del(key)
+//   hget(hash, field), hset(hash, field, value), hdel(hash, field), hgetall(hash)
+//   push(list, value, maxLength), range(list, start, stop)
+// Lists are newest-first and capped at maxLength entries. setIfAbsent is atomic and
+// resolves to whether it wrote, so it doubles as a claim.
+
+function createMemoryKeyValueStore() {
+  const values = new Map();
+  const hashes = new Map();
+  const lists = new Map();
+
+  function read(key) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function hash(name) {
+    if (!hashes.has(name)) hashes.set(name, new Map());
+    return hashes.get(name);
+  }
+
+  // Values are copied in and out so callers can't mutate stored state by accident
+  const copy = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      return copy(read(key));
+    },
+
+    async set(key, value, ttlMs) {
+      values.set(key, { value: copy(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key) !== null) return false;
+      values.set(key, { value: copy(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return true;
+    },
+
+    async del(key) {
+      values.delete(key);
+      hashes.delete(key);
+      lists.delete(key);
+    },
+
+    async hget(name, field) {
+      return copy(hash(name).get(field));
+    },
+
+    async hset(name, field, value) {
+      hash(name).set(field, copy(value));
+    },
+
+    async hdel(name, field) {
+      hash(name).delete(field);
+    },
+
+    async hgetall(name) {
+      return Object.fromEntries(Array.from(hash(name).entries()).map(([field, value]) => [field, copy(value)]));
+    },
+
+    async push(name, value, maxLength) {
+      const list = lists.get(name) || [];
+      list.unshift(copy(value));
+      if (maxLength && list.length > maxLength) list.length = maxLength;
+      lists.set(name, list);
+    },
+
+    async range(name, start, stop) {
+      const list = lists.get(name) || [];
+      return list.slice(start, stop === -1 ? undefined : stop + 1).map(copy);
+    }
+  };
+}
+
+function createRedisKeyValueStore(redis, prefix = 'aec:') {
+  const key = name => `${prefix}${name}`;
+  const parse = value => (value === null || value === undefined ? null : JSON.parse(value));
+
+  return {
+    type: 'redis',
+
+    async get(name) {
+      return parse(await redis.get(key(name)));
+    },
+
+    async set(name, value, ttlMs) {
+      if (ttlMs) {
+        await redis.set(key(name), JSON.stringify(value), 'PX', ttlMs);
+      } else {
+        await redis.set(key(name), JSON.stringify(value));
+      }
+    },
+
+    async setIfAbsent(name, value, ttlMs) {
+      const result = ttlMs
+        ? await redis.set(key(name), JSON.stringify(value), 'PX', ttlMs, 'NX')
+        : await redis.set(key(name), JSON.stringify(value), 'NX');
+      return result === 'OK';
+    },
+
+    async del(name) {
+      await redis.del(key(name));
+    },
+
+    async hget(name, field) {
+      return parse(await redis.hget(key(name), field));
+    },
+
+    async hset(name, field, value) {
+      await redis.hset(key(name), field, JSON.stringify(value));
+    },
+
+    async hdel(name, field) {
+      await redis.hdel(key(name), field);
+    },
+
+    async hgetall(name) {
+      const entries = await redis.hgetall(key(name));
+      return Object.fromEntries(Object.entries(entries).map(([field, value]) => [field, parse(value)]));
+    },
+
+    async push(name, value, maxLength) {
+      const multi = redis.multi().lpush(key(name), JSON.stringify(value));
+      if (maxLength) multi.ltrim(key(name), 0, maxLength - 1);
+      await multi.exec();
+    },
+
+    async range(name, start, stop) {
+      return (await redis.lrange(key(name), start, stop)).map(parse);
+    }
+  };
+}
+
+function createKeyValueStore(redis) {
+  return redis ? createRedisKeyValueStore(redis) : createMemoryKeyValueStore();
+}
+
+module.exports = {
+  createKeyValueStore,
+  createMemoryKeyValueStore,
+  createRedisKeyValueStore
+};
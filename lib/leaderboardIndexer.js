@@ -0,0 +1,226 @@
+const { ethers } = require('ethers');
+const { toSafeNumber } = require('./numbers');
+
+// Incremental staking leaderboard
+//
+// Scans the staking contract's logs from a persisted block cursor in fixed-size
+// chunks, remembering every address it has seen. Points are re-read only for
+// addresses touched since the last update, plus a periodic full refresh since
+// points accrue over time. Each read fetches getPoints and getStakerInfo (for the
+// staked token count and tier) through Multicall3 in batches, falling back to
+// plain parallel calls if multicall isn't available.
+
+const CURSOR_KEY = 'leaderboard:cursor';
+const ADDRESSES_KEY = 'leaderboard:addresses';
+const POINTS_KEY = 'leaderboard:points';
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+function createLeaderboardIndexer({
+  provider,
+  kv,
+  stakingContract,
+  cache,
+  startBlock,
+  maxBlockRange = 5000,
+  batchSize = 100,
+  fullRefreshInterval = 60 * 60 * 1000,
+  multicallAddress = MULTICALL3_ADDRESS
+}) {
+  const multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+  let multicallAvailable = true;
+  let lastFullRefresh = 0;
+  let inFlight = null;
+
+  // Scan new blocks and return the addresses that appeared in them
+  async function scanNewBlocks() {
+    const head = await provider.getBlockNumber();
+    let cursor = await kv.get(CURSOR_KEY);
+    if (cursor === null) cursor = startBlock - 1;
+
+    const touched = new Set();
+    while (cursor < head) {
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(head, cursor + maxBlockRange);
+
+      const logs = await provider.getLogs({ address: stakingContract.address, fromBlock, toBlock });
+      const found = new Set();
+      logs.forEach(log => {
+        if (log.topics.length > 1) {
+          const address = ethers.utils.getAddress(`0x${log.topics[1].slice(26)}`);
+          if (address !== ZERO_ADDRESS) found.add(address);
+        }
+      });
+
+      // Remember addresses before moving the cursor past the blocks they came from
+      for (const address of found) {
+        await kv.hset(ADDRESSES_KEY, address.toLowerCase(), address);
+        touched.add(address);
+      }
+
+      cursor = toBlock;
+      await kv.set(CURSOR_KEY, cursor);
+    }
+
+    cache.lastScannedBlock = cursor;
+    return touched;
+  }
+
+  async function readStakersBatch(addresses) {
+    if (multicallAvailable) {
+      try {
+        const calls = addresses.flatMap(address => ['getPoints', 'getStakerInfo'].map(method => ({
+          target: stakingContract.address,
+          allowFailure: true,
+          callData: stakingContract.interface.encodeFunctionData(method, [address])
+        })));
+        const results = await multicall.callStatic.aggregate3(calls);
+
+        return addresses.map((address, i) => {
+          const [pointsResult, stakerResult] = [results[i * 2], results[i * 2 + 1]];
+          if (!pointsResult.success || !stakerResult.success) return null;
+
+          const [points] = stakingContract.interface.decodeFunctionResult('getPoints', pointsResult.returnData);
+          const staker = stakingContract.interface.decodeFunctionResult('getStakerInfo', stakerResult.returnData);
+          return {
+            points: toSafeNumber(points),
+            stakedCount: staker.stakedTokens.length,
+            tier: toSafeNumber(staker.tier)
+          };
+        });
+      } catch (error) {
+        console.error('Multicall unavailable, falling back to individual calls:', error.message);
+        multicallAvailable = false;
+      }
+    }
+
+    return Promise.all(addresses.map(async address => {
+      try {
+        const [points, staker] = await Promise.all([
+          stakingContract.getPoints(address),
+          stakingContract.getStakerInfo(address)
+        ]);
+        return {
+          points: toSafeNumber(points),
+          stakedCount: staker.stakedTokens.length,
+          tier: toSafeNumber(staker.tier)
+        };
+      } catch (error) {
+        console.error(`Error fetching points for address ${address}:`, error);
+        return null;
+      }
+    }));
+  }
+
+  // Read staking data for many addresses, `batchSize` at a time
+  async function readStakers(addresses) {
+    const stakers = new Map();
+
+    for (let i = 0; i < addresses.length; i += batchSize) {
+      const batch = addresses.slice(i, i + batchSize);
+      const results = await readStakersBatch(batch);
+      batch.forEach((address, j) => {
+        if (results[j] !== null) stakers.set(address, results[j]);
+      });
+    }
+
+    return stakers;
+  }
+
+  // Sort by points and assign competition ranks (ties share a rank)
+  function rebuildCache(stored, lastUpdated = new Date()) {
+    const sorted = Object.values(stored)
+      .map(({ address, points, stakedCount, tier }) => ({ address, points, stakedCount, tier }))
+      .sort((a, b) => b.points - a.points);
+
+    sorted.forEach((entry, i) => {
+      entry.rank = i > 0 && sorted[i - 1].points === entry.points ? sorted[i - 1].rank : i + 1;
+    });
+
+    cache.data = sorted;
+    cache.lastUpdated = lastUpdated;
+  }
+
+  // Compare our top entries with the contract's own getLeaderboard view
+  async function crossCheck(limit = 25) {
+    try {
+      const [users, points] = await stakingContract.getLeaderboard(limit);
+      const ours = new Map(cache.data.map(entry => [entry.address.toLowerCase(), entry.points]));
+
+      const mismatches = users
+        .map((user, i) => ({ address: user, contractPoints: toSafeNumber(points[i]), indexedPoints: ours.get(user.toLowerCase()) ?? null }))
+        .filter(entry => entry.address !== ZERO_ADDRESS && entry.contractPoints !== entry.indexedPoints);
+
+      if (mismatches.length > 0) {
+        console.warn(`Leaderboard cross-check found ${mismatches.length} mismatches`, mismatches);
+      }
+
+      cache.crossCheck = { checkedAt: new Date(), limit, mismatches };
+    } catch (error) {
+      console.error('Error cross-checking leaderboard:', error);
+    }
+  }
+
+  async function runUpdate() {
+    try {
+      const stored = await kv.hgetall(POINTS_KEY);
+      const touched = await scanNewBlocks();
+
+      // Touched addresses always; every known address on a full refresh
+      const fullRefresh = Date.now() - lastFullRefresh >= fullRefreshInterval;
+      const toRefresh = fullRefresh
+        ? Object.values(await kv.hgetall(ADDRESSES_KEY))
+        : Array.from(touched);
+
+      const stakers = await readStakers(toRefresh);
+      for (const [address, staker] of stakers) {
+        stored[address.toLowerCase()] = { address, ...staker, updatedAt: Date.now() };
+        await kv.hset(POINTS_KEY, address.toLowerCase(), stored[address.toLowerCase()]);
+      }
+
+      if (fullRefresh) lastFullRefresh = Date.now();
+
+      rebuildCache(stored);
+      if (fullRefresh) await crossCheck();
+
+      console.log(`Leaderboard cache updated (${stakers.size} addresses refreshed, ${cache.data.length} total)`);
+    } catch (error) {
+      console.error('Error updating leaderboard cache:', error);
+    }
+  }
+
+  // Callers during an update share it, so once this resolves the cache is current
+  function update() {
+    if (!inFlight) {
+      inFlight = runUpdate().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  // Serve the last indexed leaderboard straight away after a restart
+  async function load() {
+    const stored = await kv.hgetall(POINTS_KEY);
+    const entries = Object.values(stored);
+    if (entries.length > 0) {
+      rebuildCache(stored, new Date(Math.max(...entries.map(entry => entry.updatedAt))));
+      cache.lastScannedBlock = await kv.get(CURSOR_KEY);
+    }
+  }
+
+  return {
+    load,
+    update,
+    crossCheck
+  };
+}
+
+module.exports = {
+  createLeaderboardIndexer
+};
@@ -0,0 +1,132 @@
+// Timestamped copies of the leaderboard, for seasonal rewards
+//
+// Snapshots are taken when the lending contract emits PointsSnapshotTaken (delivered
+// by the shared log scanner) and on an optional fixed schedule.
+// Metadata lives in one hash so listing stays cheap; each snapshot's entries are
+// stored under their own key. Only the newest `maxSnapshots` are kept.
+
+const INDEX_KEY = 'leaderboard:snapshot-index';
+const snapshotKey = id => `leaderboard:snapshot:${id}`;
+
+function createLeaderboardSnapshots({
+  kv,
+  cache,
+  logScanner,
+  refresh,
+  maxSnapshots = 200
+}) {
+  async function take({ id, trigger, epoch = null, blockNumber = null }) {
+    const snapshotId = id || `${trigger}-${Date.now()}`;
+
+    // Event snapshots are keyed by epoch, so seeing the same event twice is harmless
+    if (await kv.hget(INDEX_KEY, snapshotId)) {
+      return kv.hget(INDEX_KEY, snapshotId);
+    }
+
+    // Waits out a refresh already in progress, so the snapshot never captures stale data
+    await refresh();
+
+    const meta = {
+      id: snapshotId,
+      trigger,
+      epoch,
+      blockNumber,
+      takenAt: new Date().toISOString(),
+      leaderboardUpdatedAt: cache.lastUpdated,
+      totalEntries: cache.data.length
+    };
+
+    await kv.set(snapshotKey(snapshotId), cache.data.map(({ rank, address, points, stakedCount, tier }) => ({
+      rank, address, points, stakedCount, tier
+    })));
+    await kv.hset(INDEX_KEY, snapshotId, meta);
+
+    console.log(`Leaderboard snapshot ${snapshotId} taken (${meta.totalEntries} entries)`);
+    await prune();
+    return meta;
+  }
+
+  // Drop the oldest snapshots beyond the retention cap
+  async function prune() {
+    const expired = (await list()).slice(maxSnapshots);
+    for (const snapshot of expired) {
+      await kv.del(snapshotKey(snapshot.id));
+      await kv.hdel(INDEX_KEY, snapshot.id);
+    }
+    if (expired.length > 0) {
+      console.log(`Pruned ${expired.length} old leaderboard snapshots`);
+    }
+  }
+
+  async function list() {
+    const snapshots = Object.values(await kv.hgetall(INDEX_KEY));
+    return snapshots.sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt));
+  }
+
+  async function get(id) {
+    const meta = await kv.hget(INDEX_KEY, id);
+    if (!meta) return null;
+    return { ...meta, entries: await kv.get(snapshotKey(id)) || [] };
+  }
+
+  // Rank movement between two snapshots; positive movement means climbing
+  async function diff(fromId, toId) {
+    const [from, to] = await Promise.all([get(fromId), get(toId)]);
+    if (!from || !to) return null;
+
+    const before = new Map(from.entries.map(entry => [entry.address.toLowerCase(), entry]));
+    const after = new Map(to.entries.map(entry => [entry.address.toLowerCase(), entry]));
+
+    const changes = to.entries.map(entry => {
+      const previous = before.get(entry.address.toLowerCase());
+      return {
+        address: entry.address,
+        fromRank: previous ? previous.rank : null,
+        toRank: entry.rank,
+        movement: previous ? previous.rank - entry.rank : null,
+        fromPoints: previous ? previous.points : null,
+        toPoints: entry.points,
+        pointsChange: entry.points - (previous ? previous.points : 0),
+        status: previous ? 'ranked' : 'new'
+      };
+    });
+
+    const dropped = from.entries
+      .filter(entry => !after.has(entry.address.toLowerCase()))
+      .map(entry => ({
+        address: entry.address,
+        fromRank: entry.rank,
+        toRank: null,
+        movement: null,
+        fromPoints: entry.points,
+        toPoints: null,
+        pointsChange: -entry.points,
+        status: 'dropped'
+      }));
+
+    const withoutEntries = ({ entries, ...meta }) => meta;
+    return { from: withoutEntries(from), to: withoutEntries(to), changes: [...changes, ...dropped] };
+  }
+
+  // Past epochs found by the first backfill can't be captured any more, so only
+  // events from then on are snapshotted
+  async function handleSnapshotEvent(parsed, log, { initialSync }) {
+    if (initialSync) return;
+
+    const epoch = parsed.args.epoch.toString();
+    await take({ id: `epoch-${epoch}`, trigger: 'event', epoch, blockNumber: log.blockNumber });
+  }
+
+  logScanner.subscribe('leaderboard-snapshots', { events: ['PointsSnapshotTaken'], onEvent: handleSnapshotEvent });
+
+  return {
+    take,
+    list,
+    get,
+    diff
+  };
+}
+
+module.exports = {
+  createLeaderboardSnapshots
+};
@@ -0,0 +1,268 @@
+const { ethers } = require('ethers');
+
+// Indexes loan offers and loans from the lending contract's lifecycle events
+//
+// Keeps one record per offer ID (a loan is an accepted offer) in the key/value
+// store and resumes from a persisted block cursor. Every poll re-scans the last
+// `reorgDepth` blocks: events are applied idempotently, and any previously applied
+// event that no longer shows up (it was reorged out) causes that offer to be
+// re-read from the contract's loanOffers view. The first poll records the head block
+// it backfills to, so events up to it stay history even if the backfill is cut short
+// and finished by later polls.
+
+const OFFERS_KEY = 'lending:offers';
+const CURSOR_KEY = 'lending:cursor';
+const BACKFILL_KEY = 'lending:backfill-to';
+const RECENT_EVENTS_KEY = 'lending:recent-events';
+
+const TRACKED_EVENTS = [
+  'LoanOfferCreated',
+  'CollectionOfferCreated',
+  'LoanAccepted',
+  'LoanRepaid',
+  'LoanDefaulted',
+  'LoanCancelled',
+  'LoanStatusChanged'
+];
+
+// NFTLendingStorage.LoanStatus
+const LOAN_STATUS = ['pending', 'active', 'repaid', 'defaulted', 'cancelled'];
+
+function statusName(code) {
+  return LOAN_STATUS[code] || `status-${code}`;
+}
+
+// The contract takes and reports offer durations in whole days (createCollectionOffer's
+// _durationInDays); offer records hold them in seconds like every other time span here
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+function durationSeconds(days) {
+  return days.toNumber() * SECONDS_PER_DAY;
+}
+
+function createLendingIndexer({
+  provider,
+  kv,
+  lendingContract,
+  startBlock,
+  maxBlockRange = 5000,
+  reorgDepth = 20,
+  onEvent = null
+}) {
+  const iface = lendingContract.interface;
+  const topics = TRACKED_EVENTS.map(name => iface.getEventTopic(name));
+  let polling = false;
+
+  const eventId = log => `${log.transactionHash}:${log.logIndex}`;
+
+  function emptyOffer(offerId) {
+    return {
+      offerId,
+      lender: null,
+      borrower: null,
+      nftContract: null,
+      tokenId: null,
+      isCollectionWide: false,
+      loanAmount: '0',
+      apy: null,
+      duration: null,
+      repayAmount: null,
+      repaidAmount: null,
+      dueDate: null,
+      status: 'pending',
+      statusCode: 0,
+      createdBlock: null,
+      updatedBlock: null,
+      events: []
+    };
+  }
+
+  function setStatus(offer, code) {
+    offer.statusCode = code;
+    offer.status = statusName(code);
+  }
+
+  // Apply one decoded event to its offer record
+  function applyEvent(offer, parsed, log) {
+    const { args } = parsed;
+
+    switch (parsed.name) {
+      case 'LoanOfferCreated':
+      case 'CollectionOfferCreated':
+        offer.lender = args.lender;
+        offer.nftContract = args.nftContract.toLowerCase();
+        offer.loanAmount = args.loanAmount.toString();
+        offer.apy = args.apy.toNumber();
+        offer.duration = durationSeconds(args.duration);
+        offer.isCollectionWide = parsed.name === 'CollectionOfferCreated' || args.isCollectionWide;
+        offer.tokenId = parsed.name === 'LoanOfferCreated' && !args.isCollectionWide ? args.tokenId.toString() : null;
+        offer.createdBlock = offer.createdBlock ?? log.blockNumber;
+        break;
+      case 'LoanAccepted':
+        offer.borrower = args.borrower;
+        offer.repayAmount = args.repayAmount.toString();
+        offer.dueDate = args.dueDate.toNumber();
+        setStatus(offer, 1);
+        break;
+      case 'LoanRepaid':
+        offer.repaidAmount = args.amount.toString();
+        setStatus(offer, 2);
+        break;
+      case 'LoanDefaulted':
+        offer.borrower = args.borrower;
+        setStatus(offer, 3);
+        break;
+      case 'LoanCancelled':
+        setStatus(offer, 4);
+        break;
+      case 'LoanStatusChanged':
+        setStatus(offer, args.newStatus);
+        break;
+      default:
+        break;
+    }
+
+    offer.updatedBlock = log.blockNumber;
+    offer.events.push({ id: eventId(log), name: parsed.name, blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+  }
+
+  // Authoritative re-read of an offer after one of its events was reorged out
+  async function resyncOffer(offerId, orphanedIds) {
+    const offer = await kv.hget(OFFERS_KEY, offerId) || emptyOffer(offerId);
+    const onChain = await lendingContract.loanOffers(offerId);
+
+    offer.events = offer.events.filter(event => !orphanedIds.has(event.id));
+
+    if (onChain.lender === ethers.constants.AddressZero) {
+      await kv.hdel(OFFERS_KEY, offerId);
+      return;
+    }
+
+    offer.lender = onChain.lender;
+    offer.nftContract = onChain.nftContract.toLowerCase();
+    offer.tokenId = onChain.isCollectionWide ? null : onChain.tokenId.toString();
+    offer.isCollectionWide = onChain.isCollectionWide;
+    offer.loanAmount = onChain.loanAmount.toString();
+    offer.apy = onChain.apy.toNumber();
+    offer.duration = durationSeconds(onChain.duration);
+    setStatus(offer, onChain.status);
+    if (offer.statusCode === 0) {
+      offer.borrower = null;
+      offer.dueDate = null;
+      offer.repayAmount = null;
+    }
+
+    await kv.hset(OFFERS_KEY, offerId, offer);
+    console.log(`Re-synced lending offer ${offerId} after reorg`);
+  }
+
+  async function scanRange(fromBlock, toBlock, seen, backfillTo) {
+    const logs = await provider.getLogs({
+      address: lendingContract.address,
+      topics: [topics],
+      fromBlock,
+      toBlock
+    });
+
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const applied = [];
+    for (const log of logs) {
+      seen.add(eventId(log));
+
+      const parsed = iface.parseLog(log);
+      const offerId = parsed.args.offerId.toString();
+      const offer = await kv.hget(OFFERS_KEY, offerId) || emptyOffer(offerId);
+
+      // Re-scanned blocks hand us events we've already applied
+      if (offer.events.some(event => event.id === eventId(log))) continue;
+
+      applyEvent(offer, parsed, log);
+      await kv.hset(OFFERS_KEY, offerId, offer);
+      applied.push({ id: eventId(log), offerId, blockNumber: log.blockNumber });
+
+      if (onEvent) {
+        try {
+          await onEvent(parsed.name, offer, log, { initialSync: log.blockNumber <= backfillTo });
+        } catch (error) {
+          console.error(`Error handling ${parsed.name} for offer ${offerId}:`, error);
+        }
+      }
+    }
+
+    return applied;
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+
+    try {
+      const head = await provider.getBlockNumber();
+      let cursor = await kv.get(CURSOR_KEY);
+
+      // Events from the first backfill are history, not news
+      let backfillTo = await kv.get(BACKFILL_KEY);
+      if (cursor === null) {
+        cursor = startBlock - 1;
+        if (backfillTo === null) {
+          backfillTo = head;
+          await kv.set(BACKFILL_KEY, backfillTo);
+        }
+      }
+
+      const recent = await kv.get(RECENT_EVENTS_KEY) || [];
+      const recheckFrom = Math.max(startBlock, cursor - reorgDepth + 1);
+      const seen = new Set();
+
+      let scanned = recheckFrom - 1;
+      while (scanned < head) {
+        const fromBlock = scanned + 1;
+        const toBlock = Math.min(head, scanned + maxBlockRange);
+
+        const applied = await scanRange(fromBlock, toBlock, seen, backfillTo ?? -1);
+        recent.push(...applied);
+
+        scanned = toBlock;
+        if (scanned > cursor) {
+          cursor = scanned;
+          await kv.set(CURSOR_KEY, cursor);
+        }
+      }
+
+      // Events we applied in the re-checked window that have since disappeared
+      const orphaned = recent.filter(event => event.blockNumber >= recheckFrom && !seen.has(event.id));
+      const orphanedIds = new Set(orphaned.map(event => event.id));
+      for (const offerId of new Set(orphaned.map(event => event.offerId))) {
+        await resyncOffer(offerId, orphanedIds);
+      }
+
+      await kv.set(RECENT_EVENTS_KEY, recent.filter(event =>
+        event.blockNumber > cursor - reorgDepth && !orphanedIds.has(event.id)));
+    } catch (error) {
+      console.error('Error indexing lending events:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  async function offers() {
+    return Object.values(await kv.hgetall(OFFERS_KEY));
+  }
+
+  async function getOffer(offerId) {
+    return kv.hget(OFFERS_KEY, String(offerId));
+  }
+
+  return {
+    poll,
+    offers,
+    getOffer,
+    getCursor: () => kv.get(CURSOR_KEY)
+  };
+}
+
+module.exports = {
+  LOAN_STATUS,
+  createLendingIndexer
+};
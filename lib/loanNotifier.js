@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+
+// Discord DMs about loans for users with linked wallets
+//
+// Borrowers get a reminder as their loan's due date passes each configured offset
+// (72h, 24h and 1h before by default) and a warning once it is overdue; lenders hear
+// when a loan of theirs is repaid or defaults. Each notification is claimed in the
+// key/value store before it is sent, so restarts, overlapping checks and other
+// instances never send the same one twice; a failed send gives the claim back.
+// Users who turned loan notifications off are skipped.
+
+const SENT_TTL = 60 * 24 * 60 * 60 * 1000;
+const sentKey = (offerId, kind) => `loan-notification:${offerId}:${kind}`;
+
+function formatDuration(ms) {
+  const hours = Math.round(ms / (60 * 60 * 1000));
+  if (hours >= 48) return `${Math.round(hours / 24)} days`;
+  if (hours >= 1) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.max(1, Math.round(ms / 60000))} minutes`;
+}
+
+function createLoanNotifier({ lendingIndexer, walletLinks, kv, sendDirectMessage, reminderOffsets = [72, 24, 1] }) {
+  // Largest offset first, in milliseconds
+  const offsets = reminderOffsets
+    .map(hours => hours * 60 * 60 * 1000)
+    .sort((a, b) => b - a);
+  let checking = false;
+
+  // wallet -> link, for users who haven't turned loan notifications off
+  async function linksByWallet() {
+    const byWallet = new Map();
+    const links = await walletLinks.list();
+    links
+      .filter(link => link.loanNotifications !== false)
+      .forEach(link => (link.wallets || []).forEach(wallet => byWallet.set(wallet.toLowerCase(), link)));
+    return byWallet;
+  }
+
+  async function notifyOnce(link, offerId, kind, message) {
+    if (!await kv.setIfAbsent(sentKey(offerId, kind), Date.now(), SENT_TTL)) return false;
+
+    try {
+      await sendDirectMessage(link.discordId, message);
+    } catch (error) {
+      console.error(`Error sending ${kind} notification for loan ${offerId} to ${link.discordId}:`, error.message);
+      await kv.del(sentKey(offerId, kind));
+      return false;
+    }
+
+    return true;
+  }
+
+  async function checkDueDates() {
+    if (checking) return;
+    checking = true;
+
+    try {
+      const byWallet = await linksByWallet();
+      const now = Date.now();
+      let sent = 0;
+
+      const loans = (await lendingIndexer.offers())
+        .filter(offer => offer.status === 'active' && offer.dueDate && offer.borrower);
+
+      for (const loan of loans) {
+        const link = byWallet.get(loan.borrower.toLowerCase());
+        if (!link) continue;
+
+        const remaining = loan.dueDate * 1000 - now;
+        const repay = loan.repayAmount ? ` Repay ${ethers.utils.formatEther(loan.repayAmount)} APE` : ' Repay it';
+
+        if (remaining <= 0) {
+          if (await notifyOnce(link, loan.offerId, 'overdue',
+            `⚠️ Your loan #${loan.offerId} is past its due date and can now be defaulted, which transfers your NFT to the lender.${repay} as soon as possible to keep it.`)) {
+            sent++;
+          }
+          continue;
+        }
+
+        // Only the most urgent offset reached is sent; skipped ones are never sent late
+        const reached = offsets.filter(offset => remaining <= offset);
+        if (reached.length === 0) continue;
+
+        const offset = reached[reached.length - 1];
+        if (await notifyOnce(link, loan.offerId, `due-${offset}`,
+          `⏰ Your loan #${loan.offerId} is due in ${formatDuration(remaining)} (<t:${loan.dueDate}:f>).${repay} before then to avoid defaulting and losing your NFT.`)) {
+          sent++;
+          for (const skipped of reached.slice(0, -1)) {
+            await kv.set(sentKey(loan.offerId, `due-${skipped}`), Date.now(), SENT_TTL);
+          }
+        }
+      }
+
+      if (sent > 0) console.log(`Sent ${sent} loan due-date reminders`);
+    } catch (error) {
+      console.error('Error checking loan due dates:', error);
+    } finally {
+      checking = false;
+    }
+  }
+
+  // Lending indexer hook: tell the lender when their loan is repaid or defaults
+  async function handleLoanEvent(name, offer, log, { initialSync = false } = {}) {
+    if (initialSync || !offer.lender) return;
+    if (name !== 'LoanRepaid' && name !== 'LoanDefaulted') return;
+
+    const link = (await linksByWallet()).get(offer.lender.toLowerCase());
+    if (!link) return;
+
+    if (name === 'LoanRepaid') {
+      const amount = offer.repaidAmount ? ` for ${ethers.utils.formatEther(offer.repaidAmount)} APE` : '';
+      await notifyOnce(link, offer.offerId, 'repaid', `✅ Loan #${offer.offerId} has been repaid${amount}.`);
+    } else {
+      await notifyOnce(link, offer.offerId, 'defaulted',
+        `❗ Loan #${offer.offerId} was not repaid by its due date and has defaulted.`);
+    }
+  }
+
+  return {
+    checkDueDates,
+    handleLoanEvent
+  };
+}
+
+module.exports = {
+  createLoanNotifier
+};
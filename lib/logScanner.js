@@ -0,0 +1,139 @@
+// Shared scan of a contract's event logs
+//
+// Modules subscribe to the events they care about instead of each keeping a block
+// cursor and getLogs loop of their own. As in the lending indexer, every poll re-scans
+// the last `reorgDepth` blocks, so events that a reorg moved into an already-scanned
+// block are still picked up; the events each subscriber has handled within that
+// window are remembered, so nothing is handed to a subscriber twice.
+//
+// The first poll records the head block it backfills to, and events up to that block
+// are delivered with `initialSync` set even if the backfill takes several polls.
+// Subscribers fail independently: an event a subscriber throws on is retried on the
+// following polls (after newer events, up to MAX_ATTEMPTS times) while the scan and
+// the other subscribers carry on.
+
+const CURSOR_KEY = 'log-scanner:cursor';
+const BACKFILL_KEY = 'log-scanner:backfill-to';
+const HANDLED_KEY = 'log-scanner:handled';
+const RETRY_KEY = 'log-scanner:retry';
+const MAX_ATTEMPTS = 5;
+
+function createLogScanner({ provider, kv, contract, startBlock, maxBlockRange = 5000, reorgDepth = 20 }) {
+  const iface = contract.interface;
+  const subscribers = [];
+  let polling = false;
+
+  const eventId = log => `${log.transactionHash}:${log.logIndex}`;
+
+  // `onEvent(parsed, log, { initialSync })` is called for each of `events` in block
+  // order; `initialSync` is set for events found by the first backfill
+  function subscribe(name, { events, onEvent }) {
+    subscribers.push({ name, topics: new Set(events.map(event => iface.getEventTopic(event))), onEvent });
+  }
+
+  // Returns whether the subscriber handled the event
+  async function deliver(subscriber, log, initialSync) {
+    const parsed = iface.parseLog(log);
+    try {
+      await subscriber.onEvent(parsed, log, { initialSync });
+      return true;
+    } catch (error) {
+      console.error(`Error handling ${parsed.name} in ${subscriber.name} (block ${log.blockNumber}):`, error);
+      return false;
+    }
+  }
+
+  async function retryFailed(retries) {
+    const remaining = [];
+    for (const retry of retries) {
+      const subscriber = subscribers.find(candidate => candidate.name === retry.subscriber);
+      if (!subscriber || await deliver(subscriber, retry.log, retry.initialSync)) continue;
+
+      if (retry.attempts + 1 >= MAX_ATTEMPTS) {
+        console.error(`Giving up on block ${retry.log.blockNumber} event for ${retry.subscriber} after ${MAX_ATTEMPTS} attempts`);
+      } else {
+        remaining.push({ ...retry, attempts: retry.attempts + 1 });
+      }
+    }
+    return remaining;
+  }
+
+  async function scanRange(fromBlock, toBlock, { handled, retries, backfillTo }) {
+    const topics = Array.from(new Set(subscribers.flatMap(subscriber => Array.from(subscriber.topics))));
+    const logs = await provider.getLogs({ address: contract.address, topics: [topics], fromBlock, toBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (const log of logs) {
+      const initialSync = log.blockNumber <= backfillTo;
+
+      for (const subscriber of subscribers) {
+        const id = `${subscriber.name}:${eventId(log)}`;
+        if (!subscriber.topics.has(log.topics[0]) || handled[id] !== undefined) continue;
+
+        if (!await deliver(subscriber, log, initialSync)) {
+          retries.push({ subscriber: subscriber.name, log, initialSync, attempts: 1 });
+        }
+        handled[id] = log.blockNumber;
+      }
+    }
+  }
+
+  // Only events inside the re-scan window need remembering
+  async function save(cursor, { handled, retries }) {
+    const kept = Object.fromEntries(Object.entries(handled)
+      .filter(([, blockNumber]) => blockNumber > cursor - reorgDepth));
+    await kv.set(HANDLED_KEY, kept);
+    await kv.set(RETRY_KEY, retries);
+    await kv.set(CURSOR_KEY, cursor);
+  }
+
+  async function poll() {
+    if (polling || subscribers.length === 0) return;
+    polling = true;
+
+    try {
+      const head = await provider.getBlockNumber();
+      let cursor = await kv.get(CURSOR_KEY);
+      let backfillTo = await kv.get(BACKFILL_KEY);
+
+      if (cursor === null) {
+        cursor = startBlock - 1;
+        if (backfillTo === null) {
+          backfillTo = head;
+          await kv.set(BACKFILL_KEY, backfillTo);
+        }
+      }
+
+      const state = {
+        handled: await kv.get(HANDLED_KEY) || {},
+        retries: await retryFailed(await kv.get(RETRY_KEY) || []),
+        backfillTo: backfillTo ?? -1
+      };
+      await kv.set(RETRY_KEY, state.retries);
+
+      let scanned = Math.max(startBlock, cursor - reorgDepth + 1) - 1;
+      while (scanned < head) {
+        const toBlock = Math.min(head, scanned + maxBlockRange);
+        await scanRange(scanned + 1, toBlock, state);
+
+        scanned = toBlock;
+        cursor = Math.max(cursor, scanned);
+        await save(cursor, state);
+      }
+    } catch (error) {
+      console.error('Error scanning contract logs:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    subscribe,
+    poll,
+    getCursor: () => kv.get(CURSOR_KEY)
+  };
+}
+
+module.exports = {
+  createLogScanner
+};
@@ -0,0 +1,15 @@
+const { ethers } = require('ethers');
+
+// uint256 -> number. BigNumber#toNumber throws past Number.MAX_SAFE_INTEGER, so larger
+// values are capped there instead; the thresholds and rankings they're compared
+// against are all far below it.
+const MAX_SAFE = ethers.BigNumber.from(String(Number.MAX_SAFE_INTEGER));
+
+function toSafeNumber(value) {
+  const bigNumber = ethers.BigNumber.from(value);
+  return bigNumber.gt(MAX_SAFE) ? Number.MAX_SAFE_INTEGER : bigNumber.toNumber();
+}
+
+module.exports = {
+  toSafeNumber
+};
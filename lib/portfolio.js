@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const { toSafeNumber } = require('./numbers');
+
+// Wallet portfolio valuation
+//
+// Values every NFT a wallet holds in the active registry collections, its staked tokens
+// and the collateral of its open loans at the cached floor price, then subtracts what
+// it owes on those loans. Lending activity (open offers, capital lent out) is reported
+// alongside but not counted, since it isn't priced against a floor. Results are cached
+// briefly because the Discord bot asks for the same wallets repeatedly.
+
+const CACHE_TTL = 60 * 1000;
+const cacheKey = address => `portfolio:${address.toLowerCase()}`;
+
+const round = value => Math.round(value * 10000) / 10000;
+
+function createPortfolioService({
+  kv,
+  collectionRegistry,
+  floorPriceCache,
+  getCollectionContract,
+  stakingContract,
+  stakingCollection,
+  lendingContract,
+  lendingIndexer
+}) {
+  // Token IDs where the collection supports tokensOfOwner, otherwise just a count
+  async function heldTokens(collection, address) {
+    const contract = getCollectionContract(collection.contractAddress);
+    try {
+      const tokenIds = await contract.tokensOfOwner(address);
+      return { count: tokenIds.length, tokenIds: tokenIds.map(id => id.toString()) };
+    } catch (error) {
+      const balance = await contract.balanceOf(address);
+      return { count: toSafeNumber(balance), tokenIds: null };
+    }
+  }
+
+  function floorFor(contractAddress) {
+    const floor = floorPriceCache.data[contractAddress.toLowerCase()];
+    return floor
+      ? { floorPrice: Number(floor.floorPrice), floorPriceUSD: floor.floorPriceUSD ?? null, stale: !!floor.stale }
+      : { floorPrice: null, floorPriceUSD: null, stale: false };
+  }
+
+  // APE/USD implied by any cached floor price, for converting debt
+  function apeUsdRate() {
+    const priced = Object.values(floorPriceCache.data).find(floor => floor.floorPrice > 0 && floor.floorPriceUSD > 0);
+    return priced ? priced.floorPriceUSD / Number(priced.floorPrice) : null;
+  }
+
+  async function valuate(address) {
+    const cached = await kv.get(cacheKey(address));
+    if (cached) return cached;
+
+    const wallet = address.toLowerCase();
+    const collections = collectionRegistry.list({ activeOnly: true });
+    const [held, stakerInfo, borrowerLoans, userStats, offers] = await Promise.all([
+      Promise.all(collections.map(collection => heldTokens(collection, address))),
+      stakingContract.getStakerInfo(address),
+      lendingContract.getBorrowerLoans(address),
+      lendingContract.getUserStats(address),
+      lendingIndexer.offers()
+    ]);
+
+    const positions = new Map();
+    const positionFor = contractAddress => {
+      const key = contractAddress.toLowerCase();
+      if (!positions.has(key)) {
+        const collection = collectionRegistry.get(key);
+        positions.set(key, {
+          contractAddress: key,
+          name: collection ? collection.name : null,
+          ...floorFor(key),
+          held: [],
+          heldCount: 0,
+          staked: [],
+          collateral: []
+        });
+      }
+      return positions.get(key);
+    };
+
+    collections.forEach((collection, i) => {
+      if (held[i].count === 0) return;
+      const position = positionFor(collection.contractAddress);
+      position.heldCount = held[i].count;
+      position.held = held[i].tokenIds;
+    });
+
+    if (stakerInfo.stakedTokens.length > 0) {
+      positionFor(stakingCollection).staked = stakerInfo.stakedTokens.map(id => id.toString());
+    }
+
+    // Collateral stays the borrower's until default, but is owed against
+    const loans = await Promise.all(borrowerLoans.offerIds.map(async (offerId, i) => {
+      const repayment = await lendingContract.getRepaymentDetails(offerId);
+      positionFor(borrowerLoans.nftContracts[i]).collateral.push(borrowerLoans.tokenIds[i].toString());
+
+      return {
+        offerId: offerId.toString(),
+        nftContract: borrowerLoans.nftContracts[i].toLowerCase(),
+        tokenId: borrowerLoans.tokenIds[i].toString(),
+        lender: borrowerLoans.loans[i].lender,
+        loanAmount: ethers.utils.formatEther(borrowerLoans.loans[i].loanAmount),
+        dueDate: toSafeNumber(borrowerLoans.loans[i].dueDate),
+        owed: ethers.utils.formatEther(repayment.totalRepayment)
+      };
+    }));
+
+    let nftValue = 0;
+    let nftValueUSD = 0;
+    let unpriced = 0;
+    const items = Array.from(positions.values()).map(position => {
+      const count = position.heldCount + position.staked.length + position.collateral.length;
+      const value = position.floorPrice !== null ? round(count * position.floorPrice) : null;
+      const valueUSD = position.floorPriceUSD !== null ? round(count * position.floorPriceUSD) : null;
+
+      if (value === null) unpriced += count;
+      nftValue += value || 0;
+      nftValueUSD += valueUSD || 0;
+
+      return { ...position, count, value, valueUSD };
+    });
+
+    const debt = loans.reduce((total, loan) => total + Number(loan.owed), 0);
+    const rate = apeUsdRate();
+
+    const lent = offers.filter(offer => offer.lender && offer.lender.toLowerCase() === wallet);
+    const sumLoanAmounts = list => round(list.reduce((total, offer) => total + Number(ethers.utils.formatEther(offer.loanAmount)), 0));
+    const openOffers = lent.filter(offer => offer.status === 'pending');
+    const activeLent = lent.filter(offer => offer.status === 'active');
+
+    const portfolio = {
+      address,
+      collections: items,
+      loans,
+      lending: {
+        openOffers: openOffers.length,
+        openOfferValue: sumLoanAmounts(openOffers),
+        activeLoans: activeLent.length,
+        lentValue: sumLoanAmounts(activeLent),
+        totalLoans: toSafeNumber(userStats.totalLoans),
+        lenderPoints: toSafeNumber(userStats.lenderPointsValue),
+        borrowerPoints: toSafeNumber(userStats.borrowerPointsValue)
+      },
+      totals: {
+        nftValue: round(nftValue),
+        nftValueUSD: round(nftValueUSD),
+        debt: round(debt),
+        debtUSD: rate !== null ? round(debt * rate) : null,
+        netValue: round(nftValue - debt),
+        netValueUSD: rate !== null ? round(nftValueUSD - debt * rate) : null,
+        unpricedNFTs: unpriced,
+        currency: 'APE'
+      },
+      valuedAt: new Date().toISOString()
+    };
+
+    await kv.set(cacheKey(address), portfolio, CACHE_TTL);
+    return portfolio;
+  }
+
+  return {
+    valuate
+  };
+}
+
+module.exports = {
+  createPortfolioService
+};
@@ -0,0 +1,166 @@
+// Floor price providers
+//
+// A provider is `{ name, timeout, getFloorPrice(collection) }`, where getFloorPrice
+// resolves to `{ floorPrice, floorPriceUSD, currency }`, or null when the source has no
+// price for the collection, and throws on errors. `createFloorPriceService` asks every
+// provider in parallel (each under its own timeout), rejects outliers when three or
+// more prices disagree, and picks the first surviving price in the configured
+// fallback order, flagging it as disputed when another source is too far off. A
+// manual override always wins.
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_DEVIATION = 0.5;
+const OVERRIDES_KEY = 'floor-price:overrides';
+
+function createMagicEdenProvider({
+  apiKey,
+  baseUrl = 'https://api-mainnet.magiceden.dev/v3/rtp/apechain',
+  timeout = DEFAULT_TIMEOUT
+} = {}) {
+  return {
+    name: 'magiceden',
+    timeout,
+
+    async getFloorPrice(collection, { signal } = {}) {
+      const response = await fetch(
+        `${baseUrl}/collections/v7?contract=${collection.contractAddress}&sortBy=allTimeVolume`,
+        {
+          headers: {
+            'Authorization': `Bearer ${apiKey}`
+          },
+          signal
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Magic Eden responded with HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const price = data.collections?.[0]?.floorAsk?.price;
+      if (!price?.amount?.decimal) return null;
+
+      return {
+        floorPrice: price.amount.decimal,
+        floorPriceUSD: price.amount.usd,
+        currency: {
+          name: price.currency.name,
+          symbol: price.currency.symbol,
+          decimals: price.currency.decimals
+        }
+      };
+    }
+  };
+}
+
+// Prices set by an admin, stored in the key/value store by contract address
+function createManualProvider(kv) {
+  return {
+    name: 'manual',
+    timeout: DEFAULT_TIMEOUT,
+
+    async getFloorPrice(collection) {
+      const override = await kv.hget(OVERRIDES_KEY, collection.contractAddress.toLowerCase());
+      if (!override) return null;
+
+      return {
+        floorPrice: override.floorPrice,
+        floorPriceUSD: override.floorPriceUSD ?? null,
+        currency: override.currency || { name: 'ApeCoin', symbol: 'APE', decimals: 18 }
+      };
+    },
+
+    async setOverride(contractAddress, override) {
+      const stored = { ...override, setAt: Date.now() };
+      await kv.hset(OVERRIDES_KEY, contractAddress.toLowerCase(), stored);
+      return stored;
+    },
+
+    async clearOverride(contractAddress) {
+      await kv.hdel(OVERRIDES_KEY, contractAddress.toLowerCase());
+    },
+
+    async listOverrides() {
+      return kv.hgetall(OVERRIDES_KEY);
+    }
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+async function queryProvider(provider, collection) {
+  try {
+    const price = await provider.getFloorPrice(collection, { signal: AbortSignal.timeout(provider.timeout || DEFAULT_TIMEOUT) });
+    if (!price) return { source: provider.name, floorPrice: null };
+
+    const floorPrice = Number(price.floorPrice);
+    if (!Number.isFinite(floorPrice) || floorPrice <= 0) {
+      return { source: provider.name, floorPrice: null, error: `Invalid price ${price.floorPrice}` };
+    }
+
+    return { ...price, source: provider.name, floorPrice };
+  } catch (error) {
+    return { source: provider.name, floorPrice: null, error: error.message };
+  }
+}
+
+// `providers` are listed in fallback order. `referencePrice(collection)` may return an
+// on-chain reference (the best open loan offer) to flag prices that fall below it.
+function createFloorPriceService({ providers, maxDeviation = DEFAULT_MAX_DEVIATION, referencePrice = null }) {
+  async function getFloorPrice(collection) {
+    const results = await Promise.all(providers.map(provider => queryProvider(provider, collection)));
+    const priced = results.filter(result => result.floorPrice !== null);
+
+    let chosen = priced.find(result => result.source === 'manual');
+    if (!chosen && priced.length > 0) {
+      // With three or more prices, drop those too far from the median; with two that
+      // disagree there is no majority, so the fallback order decides
+      const middle = median(priced.map(result => result.floorPrice));
+      priced.forEach(result => {
+        result.rejected = priced.length > 2 && Math.abs(result.floorPrice - middle) / middle > maxDeviation;
+      });
+      chosen = priced.find(result => !result.rejected);
+    }
+
+    const sources = results.map(({ source, floorPrice, error, rejected }) => ({
+      source, floorPrice, error: error || null, rejected: !!rejected
+    }));
+
+    if (!chosen) return { price: null, sources };
+
+    const disputed = priced.length > 1 && priced.some(result => !result.rejected &&
+      Math.abs(result.floorPrice - chosen.floorPrice) / chosen.floorPrice > maxDeviation);
+
+    let belowReference = false;
+    if (referencePrice) {
+      const reference = await referencePrice(collection);
+      belowReference = reference !== null && reference > 0 && chosen.floorPrice < reference;
+    }
+
+    return {
+      price: {
+        floorPrice: chosen.floorPrice,
+        floorPriceUSD: chosen.floorPriceUSD ?? null,
+        currency: chosen.currency,
+        source: chosen.source,
+        disputed,
+        belowReference
+      },
+      sources
+    };
+  }
+
+  return {
+    getFloorPrice
+  };
+}
+
+module.exports = {
+  createMagicEdenProvider,
+  createManualProvider,
+  createFloorPriceService
+};
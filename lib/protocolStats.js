@@ -0,0 +1,165 @@
+const { ethers } = require('ethers');
+
+// Lending protocol analytics
+//
+// `sample()` reads the contract's headline metrics (TVL, active loans, fees and the
+// per-collection totals) and combines them with default rates from the lending index.
+// The latest sample is served as the current stats, and every sample is appended to a
+// capped list for charting. MetricsSnapshotTaken events, from the shared log scanner,
+// are recorded separately as the contract's own time series.
+
+const SAMPLES_KEY = 'protocol-stats:samples';
+const SNAPSHOTS_KEY = 'protocol-stats:snapshots';
+const MAX_SAMPLES = 10000;
+
+// Share of closed loans that defaulted, or null before any loan has closed
+function defaultRate(repaid, defaulted) {
+  const closed = repaid + defaulted;
+  return closed === 0 ? null : Math.round((defaulted / closed) * 10000) / 100;
+}
+
+function loanCounts(offers) {
+  const counts = { openOffers: 0, activeLoans: 0, activeValue: ethers.BigNumber.from(0), repaid: 0, defaulted: 0 };
+  offers.forEach(offer => {
+    if (offer.status === 'pending') counts.openOffers++;
+    if (offer.status === 'active') {
+      counts.activeLoans++;
+      counts.activeValue = counts.activeValue.add(offer.loanAmount);
+    }
+    if (offer.status === 'repaid') counts.repaid++;
+    if (offer.status === 'defaulted') counts.defaulted++;
+  });
+  return counts;
+}
+
+function createProtocolStats({ kv, provider, lendingContract, lendingIndexer, logScanner }) {
+  const cache = { data: null, lastUpdated: null };
+  let sampling = false;
+
+  async function collectionStats(offers) {
+    const addresses = await lendingContract.getAllCollectionAddresses();
+
+    return Promise.all(addresses.map(async address => {
+      const collection = await lendingContract.collections(address);
+      const counts = loanCounts(offers.filter(offer => offer.nftContract === address.toLowerCase()));
+
+      return {
+        address,
+        name: collection.name,
+        isActive: collection.isActive,
+        totalLoans: collection.totalLoans.toNumber(),
+        totalVolume: collection.totalVolume,
+        openOffers: counts.openOffers,
+        activeLoans: counts.activeLoans,
+        activeValue: ethers.utils.formatEther(counts.activeValue),
+        repaidLoans: counts.repaid,
+        defaultedLoans: counts.defaulted,
+        defaultRate: defaultRate(counts.repaid, counts.defaulted)
+      };
+    }));
+  }
+
+  async function sample() {
+    if (sampling) return cache.data;
+    sampling = true;
+
+    try {
+      const offers = await lendingIndexer.offers();
+      const [tvl, activeLoans, feeMetrics, collections] = await Promise.all([
+        lendingContract.totalValueLocked(),
+        lendingContract.totalActiveLoans(),
+        lendingContract.getFeeMetrics(),
+        collectionStats(offers)
+      ]);
+      const distribution = await lendingContract.getFeeDistribution(feeMetrics.totalFees);
+
+      // The contract only tracks volume per collection
+      const volume = collections.reduce((total, collection) => total.add(collection.totalVolume), ethers.BigNumber.from(0));
+      const counts = loanCounts(offers);
+
+      const stats = {
+        timestamp: Date.now(),
+        tvl: ethers.utils.formatEther(tvl),
+        volume: ethers.utils.formatEther(volume),
+        feesCollected: ethers.utils.formatEther(feeMetrics.totalFees),
+        feeDistribution: feeMetrics.feeWallets.map((wallet, i) => ({
+          wallet,
+          share: feeMetrics.feeShares[i].toNumber(),
+          amount: ethers.utils.formatEther([distribution.wallet1Amount, distribution.wallet2Amount, distribution.wallet3Amount][i] || 0)
+        })),
+        activeLoans: activeLoans.toNumber(),
+        openOffers: counts.openOffers,
+        repaidLoans: counts.repaid,
+        defaultedLoans: counts.defaulted,
+        defaultRate: defaultRate(counts.repaid, counts.defaulted),
+        collections: collections.map(collection => ({
+          ...collection,
+          totalVolume: ethers.utils.formatEther(collection.totalVolume)
+        }))
+      };
+
+      cache.data = stats;
+      cache.lastUpdated = new Date(stats.timestamp);
+
+      // Per-collection detail stays out of the time series to keep it small
+      await kv.push(SAMPLES_KEY, {
+        timestamp: stats.timestamp,
+        tvl: stats.tvl,
+        volume: stats.volume,
+        feesCollected: stats.feesCollected,
+        activeLoans: stats.activeLoans,
+        openOffers: stats.openOffers,
+        defaultRate: stats.defaultRate
+      }, MAX_SAMPLES);
+
+      console.log('Protocol stats updated:', { tvl: stats.tvl, activeLoans: stats.activeLoans });
+      return stats;
+    } catch (error) {
+      console.error('Error sampling protocol stats:', error);
+      return cache.data;
+    } finally {
+      sampling = false;
+    }
+  }
+
+  // Samples between two timestamps (ms), oldest first
+  async function history({ from = 0, to = Date.now() } = {}) {
+    const samples = await kv.range(SAMPLES_KEY, 0, -1);
+    return samples
+      .filter(point => point.timestamp >= from && point.timestamp <= to)
+      .reverse();
+  }
+
+  async function snapshots({ from = 0, to = Date.now() } = {}) {
+    return Object.values(await kv.hgetall(SNAPSHOTS_KEY))
+      .filter(snapshot => snapshot.timestamp >= from && snapshot.timestamp <= to)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Keyed by snapshot ID, so recording an event again just overwrites it
+  async function recordSnapshot(parsed, log) {
+    const block = await provider.getBlock(log.blockNumber);
+    const snapshotId = parsed.args.snapshotId.toString();
+    await kv.hset(SNAPSHOTS_KEY, snapshotId, {
+      snapshotId,
+      blockNumber: log.blockNumber,
+      timestamp: block.timestamp * 1000,
+      activeLoans: parsed.args.activeLoans.toNumber(),
+      tvl: ethers.utils.formatEther(parsed.args.tvl),
+      feesCollected: ethers.utils.formatEther(parsed.args.feesCollected)
+    });
+  }
+
+  logScanner.subscribe('protocol-stats', { events: ['MetricsSnapshotTaken'], onEvent: recordSnapshot });
+
+  return {
+    cache,
+    sample,
+    history,
+    snapshots
+  };
+}
+
+module.exports = {
+  createProtocolStats
+};
@@ -0,0 +1,91 @@
+// Periodic re-check of every linked Discord user's holdings
+//
+// Walks the wallet links in batches, re-evaluates the role rules against current
+// on-chain state and adds or removes roles to match. Every change is written to
+// the role change log with the reason it happened.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createReverifyWorker({
+  walletLinks,
+  evaluateWalletRoles,
+  updateUserRoles,
+  roleChangeLog,
+  batchSize = 10,
+  batchDelay = 5000
+}) {
+  let running = false;
+  let lastRun = null;
+
+  async function reverifyLink(link, source) {
+    const { evaluation } = await evaluateWalletRoles(link.wallets || []);
+    const changes = await updateUserRoles(link.discordId, evaluation);
+
+    for (const change of changes) {
+      await roleChangeLog.record({
+        ...change,
+        discordId: link.discordId,
+        username: link.username,
+        wallets: link.wallets,
+        source
+      });
+    }
+
+    return changes;
+  }
+
+  async function run() {
+    if (running) {
+      console.log('Re-verification already in progress, skipping');
+      return lastRun;
+    }
+
+    running = true;
+    const summary = { startedAt: new Date(), checked: 0, changed: 0, failed: 0 };
+
+    try {
+      const links = await walletLinks.list();
+      console.log(`Re-verifying ${links.length} linked Discord users...`);
+
+      for (let i = 0; i < links.length; i += batchSize) {
+        const batch = links.slice(i, i + batchSize);
+
+        await Promise.all(batch.map(async link => {
+          try {
+            const changes = await reverifyLink(link, 'reverify');
+            summary.checked++;
+            if (changes.length > 0) summary.changed++;
+          } catch (error) {
+            // Leave roles untouched when holdings can't be read
+            summary.failed++;
+            console.error(`Error re-verifying ${link.discordId}:`, error);
+          }
+        }));
+
+        if (i + batchSize < links.length) {
+          await sleep(batchDelay);
+        }
+      }
+
+      summary.finishedAt = new Date();
+      lastRun = summary;
+      console.log('Re-verification complete:', summary);
+      return summary;
+    } catch (error) {
+      console.error('Error running re-verification:', error);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    run,
+    reverifyLink,
+    status: () => ({ running, lastRun })
+  };
+}
+
+module.exports = {
+  createReverifyWorker
+};
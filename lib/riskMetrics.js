@@ -0,0 +1,60 @@
+const { ethers } = require('ethers');
+
+// Loan-to-value maths against the collection floor price
+//
+// LTV is the loan amount over the current floor, so 1.0 means the loan is worth exactly
+// one floor NFT. Loans at or above `warningLtv` are flagged as at risk, and loans above
+// `maxLtv` as under-collateralized: defaulting would hand the lender an NFT worth less
+// than they lent.
+
+const DEFAULT_WARNING_LTV = 0.8;
+const DEFAULT_MAX_LTV = 1;
+
+const round = value => Math.round(value * 10000) / 10000;
+
+function loanRisk(loan, floorPrice, { warningLtv = DEFAULT_WARNING_LTV, maxLtv = DEFAULT_MAX_LTV } = {}) {
+  const loanAmount = Number(ethers.utils.formatEther(loan.loanAmount));
+  const ltv = floorPrice > 0 ? round(loanAmount / floorPrice) : null;
+
+  return {
+    offerId: loan.offerId,
+    nftContract: loan.nftContract,
+    tokenId: loan.tokenId,
+    lender: loan.lender,
+    borrower: loan.borrower,
+    loanAmount: ethers.utils.formatEther(loan.loanAmount),
+    repayAmount: loan.repayAmount ? ethers.utils.formatEther(loan.repayAmount) : null,
+    dueDate: loan.dueDate,
+    floorPrice: floorPrice ?? null,
+    ltv,
+    atRisk: ltv !== null && ltv >= warningLtv,
+    underCollateralized: ltv !== null && ltv > maxLtv
+  };
+}
+
+// Aggregate risk for one collection from its floor, pool stats and active loans
+function collectionRisk({ collectionAddress, floorPrice, poolStats, loans, thresholds }) {
+  const risks = loans.map(loan => loanRisk(loan, floorPrice, thresholds));
+  const totalLoaned = risks.reduce((total, risk) => total + Number(risk.loanAmount), 0);
+  const bestOffer = poolStats ? Number(poolStats.bestOffer) : null;
+  const hasFloor = floorPrice > 0;
+
+  return {
+    collectionAddress,
+    floorPrice: floorPrice ?? null,
+    bestOffer,
+    availablePool: poolStats ? poolStats.availablePool : null,
+    bestOfferToFloor: hasFloor && bestOffer !== null ? round(bestOffer / floorPrice) : null,
+    activeLoans: risks.length,
+    totalLoaned: round(totalLoaned),
+    averageLtv: hasFloor && risks.length > 0 ? round(totalLoaned / (risks.length * floorPrice)) : null,
+    maxLtv: hasFloor && risks.length > 0 ? Math.max(...risks.map(risk => risk.ltv)) : null,
+    atRiskLoans: risks.filter(risk => risk.atRisk).length,
+    underCollateralizedLoans: risks.filter(risk => risk.underCollateralized).length
+  };
+}
+
+module.exports = {
+  loanRisk,
+  collectionRisk
+};
@@ -0,0 +1,27 @@
+// Record of every Discord role added or removed, so moderators can see who changed and why
+
+const ROLE_CHANGES_KEY = 'role-changes';
+const MAX_ROLE_CHANGES = 5000;
+
+function createRoleChangeLog(kv) {
+  return {
+    // change: { discordId, username, guildId, roleId, roleName, action, reason, source, wallets }
+    async record(change) {
+      const entry = { ...change, timestamp: Date.now() };
+      await kv.push(ROLE_CHANGES_KEY, entry, MAX_ROLE_CHANGES);
+      return entry;
+    },
+
+    async list({ discordId, action, limit = 100 } = {}) {
+      const changes = await kv.range(ROLE_CHANGES_KEY, 0, -1);
+      return changes
+        .filter(change => !discordId || change.discordId === discordId)
+        .filter(change => !action || change.action === action)
+        .slice(0, limit);
+    }
+  };
+}
+
+module.exports = {
+  createRoleChangeLog
+};
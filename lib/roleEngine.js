@@ -0,0 +1,222 @@
+// Evaluates the declarative role rules in roleRules.js against on-chain facts
+
+const CONDITION_LABELS = {
+  held: 'NFTs held',
+  staked: 'NFTs staked',
+  total: 'NFTs held + staked',
+  tier: 'staking tier',
+  points: 'staking points',
+  activeLoans: 'active loans'
+};
+
+// Work out which facts the rules actually need, so we only query those
+function requiredFacts(rules) {
+  const needed = { collections: new Set(), staked: false, tier: false, points: false, activeLoans: false };
+
+  rules.forEach(guild => guild.roles.forEach(role => role.conditions.forEach(condition => {
+    if (!CONDITION_LABELS[condition.type]) {
+      throw new Error(`Unknown role condition type: ${condition.type}`);
+    }
+    if (condition.type === 'held' || condition.type === 'total') {
+      needed.collections.add(condition.collection.toLowerCase());
+    }
+    if (condition.type === 'staked' || condition.type === 'total') needed.staked = true;
+    if (condition.type === 'tier') needed.tier = true;
+    if (condition.type === 'points') needed.points = true;
+    if (condition.type === 'activeLoans') needed.activeLoans = true;
+  })));
+
+  return needed;
+}
+
+// Turn the per-collection `roles` settings of registered collections into role rules
+function buildCollectionRules(collections, defaultGuildId) {
+  const rules = [];
+
+  collections.forEach(collection => (collection.roles || []).forEach(role => {
+    if (!role.roleId) return;
+
+    const guildId = role.guildId || defaultGuildId;
+    let guild = rules.find(rule => rule.guildId === guildId);
+    if (!guild) {
+      guild = { guildId, roles: [] };
+      rules.push(guild);
+    }
+
+    guild.roles.push({
+      roleId: role.roleId,
+      name: role.name || `${collection.name} Holder`,
+      conditions: [
+        { type: 'total', collection: collection.contractAddress, min: role.minCount ?? collection.minCount ?? 1 }
+      ]
+    });
+  }));
+
+  return rules;
+}
+
+// Combine rule sets, joining roles for the same guild
+function mergeRoleRules(...ruleSets) {
+  const merged = [];
+
+  ruleSets.flat().forEach(rule => {
+    const guild = merged.find(existing => existing.guildId === rule.guildId);
+    if (guild) {
+      guild.roles.push(...rule.roles);
+    } else {
+      merged.push({ guildId: rule.guildId, roles: [...rule.roles] });
+    }
+  });
+
+  return merged;
+}
+
+function emptyFacts(sources) {
+  return {
+    held: {},
+    staked: 0,
+    stakingCollection: sources.stakingCollection.toLowerCase(),
+    tier: 0,
+    points: 0,
+    activeLoans: 0
+  };
+}
+
+async function gatherAddressFacts(address, needed, sources) {
+  const facts = emptyFacts(sources);
+
+  const collections = Array.from(needed.collections);
+  const balances = await Promise.all(collections.map(collection => sources.heldCount(address, collection)));
+  collections.forEach((collection, i) => {
+    facts.held[collection] = balances[i];
+  });
+  if (needed.staked) facts.staked = await sources.stakedCount(address);
+  if (needed.tier) facts.tier = await sources.tier(address);
+  if (needed.points) facts.points = await sources.points(address);
+  if (needed.activeLoans) facts.activeLoans = await sources.activeLoans(address);
+
+  return facts;
+}
+
+// Query everything the rules depend on for a set of wallets and combine the results.
+// Counts are summed across wallets; the tier is the highest any wallet reaches.
+//
+// `sources` supplies the lookups: heldCount(address, collection), stakedCount(address),
+// tier(address), points(address), activeLoans(address) and the stakingCollection address.
+// Collections listed in `sources.collections` are always queried, even if no rule uses them.
+async function gatherFacts(addresses, rules, sources) {
+  const needed = requiredFacts(rules);
+  (sources.collections || []).forEach(collection => needed.collections.add(collection.toLowerCase()));
+  if (needed.collections.has(sources.stakingCollection.toLowerCase())) needed.staked = true;
+
+  const facts = emptyFacts(sources);
+  needed.collections.forEach(collection => {
+    facts.held[collection] = 0;
+  });
+  facts.wallets = {};
+
+  for (const address of addresses) {
+    const walletFacts = await gatherAddressFacts(address, needed, sources);
+
+    Object.entries(walletFacts.held).forEach(([collection, count]) => {
+      facts.held[collection] += count;
+    });
+    facts.staked += walletFacts.staked;
+    facts.points += walletFacts.points;
+    facts.activeLoans += walletFacts.activeLoans;
+    facts.tier = Math.max(facts.tier, walletFacts.tier);
+
+    facts.wallets[address] = {
+      held: walletFacts.held,
+      staked: walletFacts.staked,
+      tier: walletFacts.tier,
+      points: walletFacts.points,
+      activeLoans: walletFacts.activeLoans
+    };
+  }
+
+  return facts;
+}
+
+function factValue(condition, facts) {
+  const collection = condition.collection && condition.collection.toLowerCase();
+
+  switch (condition.type) {
+    case 'held':
+      return facts.held[collection] || 0;
+    case 'staked':
+      return facts.staked;
+    case 'total':
+      return (facts.held[collection] || 0) + (collection === facts.stakingCollection ? facts.staked : 0);
+    default:
+      return facts[condition.type];
+  }
+}
+
+function checkCondition(condition, facts) {
+  const actual = factValue(condition, facts);
+  const min = condition.min ?? 0;
+  const max = condition.max ?? Infinity;
+  const passed = actual >= min && actual <= max;
+
+  let requirement = `>= ${min}`;
+  if (condition.max !== undefined) requirement = `between ${min} and ${condition.max}`;
+
+  return {
+    type: condition.type,
+    collection: condition.collection,
+    actual,
+    passed,
+    reason: `${CONDITION_LABELS[condition.type]}${condition.collection ? ` (${condition.collection})` : ''}: ${actual}, needs ${requirement}`
+  };
+}
+
+// Decide which roles a set of facts earns, with the reasoning for each
+function evaluateRoles(rules, facts) {
+  return rules.map(guild => ({
+    guildId: guild.guildId,
+    roles: guild.roles.map(role => {
+      const checks = role.conditions.map(condition => checkCondition(condition, facts));
+      const granted = role.match === 'any'
+        ? checks.some(check => check.passed)
+        : checks.every(check => check.passed);
+
+      return {
+        roleId: role.roleId,
+        name: role.name,
+        granted,
+        checks
+      };
+    })
+  }));
+}
+
+// Per-collection holder summary for the given collections
+function collectionHoldings(collections, facts) {
+  return collections.map(collection => {
+    const key = collection.contractAddress.toLowerCase();
+    const held = facts.held[key] || 0;
+    const staked = key === facts.stakingCollection ? facts.staked : 0;
+    const minCount = collection.minCount ?? 1;
+
+    return {
+      id: collection.id,
+      name: collection.name,
+      contractAddress: collection.contractAddress,
+      held,
+      staked,
+      total: held + staked,
+      minCount,
+      isHolder: held + staked >= minCount
+    };
+  });
+}
+
+module.exports = {
+  requiredFacts,
+  buildCollectionRules,
+  mergeRoleRules,
+  gatherFacts,
+  collectionHoldings,
+  evaluateRoles
+};
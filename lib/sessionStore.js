@@ -0,0 +1,162 @@
+// Session storage adapters
+//
+// Every store exposes the same async interface:
+//   get(sessionId), getByDiscordId(discordId), set(session), delete(sessionId), list()
+//   setChallenge(sessionId, challenge), takeChallenge(sessionId)
+// Sessions expire SESSION_TTL after their last write, so callers refresh
+// the TTL simply by saving the session again.
+
+const { NONCE_TTL } = require('./siwe');
+
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_SECONDS, 10) || 24 * 60 * 60) * 1000;
+
+// In-memory store, used when no Redis is configured
+function createMemorySessionStore() {
+  const sessions = new Map();
+  const discordIndex = new Map();
+  const challenges = new Map();
+
+  // Entries carry their own expiry and are dropped lazily on access
+  function read(map, key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      map.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function write(map, key, value, ttl) {
+    map.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  return {
+    type: 'memory',
+
+    async get(sessionId) {
+      return read(sessions, sessionId);
+    },
+
+    async getByDiscordId(discordId) {
+      const sessionId = read(discordIndex, discordId);
+      return sessionId ? read(sessions, sessionId) : null;
+    },
+
+    async set(session) {
+      write(sessions, session.id, session, SESSION_TTL);
+      if (session.discordId) {
+        write(discordIndex, session.discordId, session.id, SESSION_TTL);
+      }
+      return session;
+    },
+
+    async delete(sessionId) {
+      const session = read(sessions, sessionId);
+      sessions.delete(sessionId);
+      if (session?.discordId && read(discordIndex, session.discordId) === sessionId) {
+        discordIndex.delete(session.discordId);
+      }
+    },
+
+    async list() {
+      return Array.from(sessions.keys())
+        .map(sessionId => read(sessions, sessionId))
+        .filter(Boolean);
+    },
+
+    async setChallenge(sessionId, challenge) {
+      write(challenges, sessionId, challenge, NONCE_TTL);
+    },
+
+    async takeChallenge(sessionId) {
+      const challenge = read(challenges, sessionId);
+      challenges.delete(sessionId);
+      return challenge;
+    }
+  };
+}
+
+// Redis store, relying on key expiry instead of a cleanup sweep
+function createRedisSessionStore(redis, prefix = 'aec:') {
+  const sessionKey = sessionId => `${prefix}session:${sessionId}`;
+  const discordKey = discordId => `${prefix}discord-session:${discordId}`;
+  const challengeKey = sessionId => `${prefix}challenge:${sessionId}`;
+
+  const parse = value => (value ? JSON.parse(value) : null);
+
+  async function get(sessionId) {
+    return parse(await redis.get(sessionKey(sessionId)));
+  }
+
+  return {
+    type: 'redis',
+
+    get,
+
+    async getByDiscordId(discordId) {
+      const sessionId = await redis.get(discordKey(discordId));
+      return sessionId ? get(sessionId) : null;
+    },
+
+    async set(session) {
+      const multi = redis.multi().set(sessionKey(session.id), JSON.stringify(session), 'PX', SESSION_TTL);
+      if (session.discordId) {
+        multi.set(discordKey(session.discordId), session.id, 'PX', SESSION_TTL);
+      }
+      await multi.exec();
+      return session;
+    },
+
+    async delete(sessionId) {
+      const session = await get(sessionId);
+      await redis.del(sessionKey(sessionId));
+      if (session?.discordId && await redis.get(discordKey(session.discordId)) === sessionId) {
+        await redis.del(discordKey(session.discordId));
+      }
+    },
+
+    async list() {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await redis.scan(cursor, 'MATCH', sessionKey('*'), 'COUNT', 100);
+        cursor = nextCursor;
+        keys.push(...batch);
+      } while (cursor !== '0');
+
+      if (keys.length === 0) return [];
+      const values = await redis.mget(keys);
+      return values.map(parse).filter(Boolean);
+    },
+
+    async setChallenge(sessionId, challenge) {
+      await redis.set(challengeKey(sessionId), JSON.stringify(challenge), 'PX', NONCE_TTL);
+    },
+
+    // GET and DEL in one transaction so a challenge can only be used once
+    async takeChallenge(sessionId) {
+      const [[, value]] = await redis.multi()
+        .get(challengeKey(sessionId))
+        .del(challengeKey(sessionId))
+        .exec();
+      return parse(value);
+    }
+  };
+}
+
+function createSessionStore(redis) {
+  if (redis) {
+    console.log('Using Redis session store');
+    return createRedisSessionStore(redis);
+  }
+  console.log('Using in-memory session store');
+  return createMemorySessionStore();
+}
+
+module.exports = {
+  SESSION_TTL,
+  createSessionStore,
+  createMemorySessionStore,
+  createRedisSessionStore
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Sign-In with Ethereum (EIP-4361) settings
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'deape.fi';
+const SIWE_URI = process.env.SIWE_URI || `https://${SIWE_DOMAIN}`;
+const SIWE_CHAIN_ID = parseInt(process.env.CHAIN_ID, 10) || 33139; // ApeChain mainnet
+
+// What the wallet is agreeing to, per challenge purpose
+const SIWE_STATEMENTS = {
+  link: 'Link this wallet to your Discord account for Ape Elite Club role verification.',
+  unlink: 'Unlink this wallet from your Discord account for Ape Elite Club role verification.'
+};
+
+// How long a challenge stays valid
+const NONCE_TTL = 10 * 60 * 1000;
+
+// EIP-4361 nonces must be at least 8 alphanumeric characters
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Build the plain-text message the wallet signs
+function buildSiweMessage({ address, nonce, sessionId, purpose, issuedAt, expiresAt }) {
+  return [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    SIWE_STATEMENTS[purpose],
+    '',
+    `URI: ${SIWE_URI}`,
+    'Version: 1',
+    `Chain ID: ${SIWE_CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`,
+    `Request ID: ${sessionId}`
+  ].join('\n');
+}
+
+// Create a single-use challenge bound to a session, wallet address and purpose
+// ('link' or 'unlink')
+function createChallenge(sessionId, address, purpose = 'link') {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + NONCE_TTL;
+  const nonce = generateNonce();
+
+  return {
+    sessionId,
+    address,
+    purpose,
+    nonce,
+    issuedAt,
+    expiresAt,
+    message: buildSiweMessage({ address, nonce, sessionId, purpose, issuedAt, expiresAt })
+  };
+}
+
+module.exports = {
+  SIWE_DOMAIN,
+  SIWE_CHAIN_ID,
+  SIWE_STATEMENTS,
+  NONCE_TTL,
+  createChallenge
+};
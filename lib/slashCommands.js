@@ -0,0 +1,215 @@
+const { ethers } = require('ethers');
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+
+// Discord slash commands
+//
+// Served by the backend's own discord.js client from the same caches and lookups the
+// API uses, so the bot process doesn't need its own copy of that logic. Replies are
+// ephemeral since most of them show a user's wallets.
+
+const definitions = [
+  new SlashCommandBuilder()
+    .setName('verify')
+    .setDescription('Get a link to verify your wallets'),
+  new SlashCommandBuilder()
+    .setName('wallets')
+    .setDescription('List the wallets linked to your Discord account'),
+  new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Unlink a wallet from your Discord account')
+    .addStringOption(option => option
+      .setName('address')
+      .setDescription('Wallet address to unlink')
+      .setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('rank')
+    .setDescription('Your best leaderboard position across your linked wallets'),
+  new SlashCommandBuilder()
+    .setName('floor')
+    .setDescription('Floor price of a tracked collection')
+    .addStringOption(option => option
+      .setName('collection')
+      .setDescription('Collection name or contract address')
+      .setRequired(true)
+      .setAutocomplete(true)),
+  new SlashCommandBuilder()
+    .setName('portfolio')
+    .setDescription('Value of your linked wallets, net of loan debt'),
+  new SlashCommandBuilder()
+    .setName('loans')
+    .setDescription('Your loans as borrower and lender')
+].map(command => command.toJSON());
+
+const formatApe = wei => `${Number(ethers.utils.formatEther(wei)).toFixed(2)} APE`;
+const formatChange = change => (change === null ? 'n/a' : `${change > 0 ? '+' : ''}${change.toFixed(2)}%`);
+const shortAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+function createSlashCommands({
+  walletLinks,
+  startVerification,
+  unlinkWallet,
+  leaderboardCache,
+  collectionRegistry,
+  floorPriceCache,
+  floorPriceHistory,
+  portfolioService,
+  lendingIndexer
+}) {
+  async function linkedWallets(discordId) {
+    const link = await walletLinks.get(discordId);
+    return link?.wallets || [];
+  }
+
+  const NO_WALLETS = 'You have no linked wallets yet. Use /verify to link one.';
+
+  // Match on contract address, then exact name, then the first name containing the query
+  function findCollection(query) {
+    const collections = collectionRegistry.list({ activeOnly: true });
+    const lower = query.toLowerCase().trim();
+    return collections.find(collection => collection.contractAddress === lower)
+      || collections.find(collection => collection.name.toLowerCase() === lower)
+      || collections.find(collection => collection.name.toLowerCase().includes(lower))
+      || null;
+  }
+
+  const handlers = {
+    async verify(interaction) {
+      const link = await startVerification(interaction.user.id, interaction.user.username);
+      return `Open this link to verify your wallets (valid for a limited time):\n${link}`;
+    },
+
+    async wallets(interaction) {
+      const wallets = await linkedWallets(interaction.user.id);
+      if (wallets.length === 0) return NO_WALLETS;
+      return `Linked wallets:\n${wallets.map(wallet => `• \`${wallet}\``).join('\n')}`;
+    },
+
+    async unlink(interaction) {
+      const address = interaction.options.getString('address');
+      if (!ethers.utils.isAddress(address)) return 'That is not a valid wallet address.';
+
+      const link = await unlinkWallet(interaction.user.id, address);
+      if (!link) return 'That wallet is not linked to your account.';
+      return `Unlinked \`${address}\`. Your roles have been updated from the ${link.wallets.length} wallet(s) that remain.`;
+    },
+
+    async rank(interaction) {
+      const wallets = (await linkedWallets(interaction.user.id)).map(wallet => wallet.toLowerCase());
+      if (wallets.length === 0) return NO_WALLETS;
+
+      // Entries are sorted by rank, so the first match is the best one
+      const entry = leaderboardCache.data.find(item => wallets.includes(item.address.toLowerCase()));
+      if (!entry) return 'None of your linked wallets are on the leaderboard yet.';
+
+      const total = leaderboardCache.data.length;
+      const top = Math.max(Math.round((entry.rank / total) * 1000) / 10, 0.1);
+      return `Rank **#${entry.rank}** of ${total} (top ${top}%) with ${entry.points} points, `
+        + `wallet \`${shortAddress(entry.address)}\``;
+    },
+
+    async floor(interaction) {
+      const collection = findCollection(interaction.options.getString('collection'));
+      if (!collection) return 'No tracked collection matches that.';
+
+      const floor = floorPriceCache.data[collection.contractAddress];
+      if (!floor) return `No floor price for ${collection.name} yet.`;
+
+      const changes = await floorPriceHistory.changes(collection.contractAddress);
+      const usd = floor.floorPriceUSD ? ` ($${Number(floor.floorPriceUSD).toFixed(2)})` : '';
+      return `**${collection.name}** floor: ${Number(floor.floorPrice).toFixed(2)} APE${usd}`
+        + `${floor.stale ? ' (stale)' : ''}\n`
+        + `1h ${formatChange(changes['1h'])} · 24h ${formatChange(changes['24h'])} · 7d ${formatChange(changes['7d'])}`;
+    },
+
+    async portfolio(interaction) {
+      const wallets = await linkedWallets(interaction.user.id);
+      if (wallets.length === 0) return NO_WALLETS;
+
+      const portfolios = await Promise.all(wallets.map(wallet => portfolioService.valuate(wallet)));
+      const sum = field => portfolios.reduce((total, portfolio) => total + (portfolio.totals[field] || 0), 0);
+      const nfts = portfolios.reduce((total, portfolio) =>
+        total + portfolio.collections.reduce((count, position) => count + position.count, 0), 0);
+
+      // USD needs an APE/USD rate, which only exists once some floor has a USD price
+      const priced = portfolios.every(portfolio => portfolio.totals.netValueUSD !== null);
+
+      return `**Portfolio** across ${wallets.length} wallet(s)\n`
+        + `NFTs: ${nfts} worth ${sum('nftValue').toFixed(2)} APE\n`
+        + `Loan debt: ${sum('debt').toFixed(2)} APE\n`
+        + `Net value: **${sum('netValue').toFixed(2)} APE**${priced ? ` ($${sum('netValueUSD').toFixed(2)})` : ''}`;
+    },
+
+    async loans(interaction) {
+      const wallets = (await linkedWallets(interaction.user.id)).map(wallet => wallet.toLowerCase());
+      if (wallets.length === 0) return NO_WALLETS;
+
+      const offers = await lendingIndexer.offers();
+      const mine = field => offers.filter(offer => offer[field] && wallets.includes(offer[field].toLowerCase()));
+
+      const borrowed = mine('borrower').filter(offer => offer.status === 'active');
+      const lent = mine('lender').filter(offer => offer.status === 'active');
+      const open = mine('lender').filter(offer => offer.status === 'pending');
+
+      if (borrowed.length + lent.length + open.length === 0) return 'You have no active loans or open offers.';
+
+      const lines = [];
+      if (borrowed.length > 0) {
+        lines.push('**Borrowing**');
+        borrowed.forEach(offer => lines.push(
+          `• Loan #${offer.offerId}: ${formatApe(offer.repayAmount || offer.loanAmount)} due <t:${offer.dueDate}:R>`
+        ));
+      }
+      if (lent.length > 0) {
+        lines.push('**Lending**');
+        lent.forEach(offer => lines.push(
+          `• Loan #${offer.offerId}: ${formatApe(offer.loanAmount)} lent, due <t:${offer.dueDate}:R>`
+        ));
+      }
+      if (open.length > 0) {
+        lines.push(`**Open offers:** ${open.length}`);
+      }
+      return lines.join('\n');
+    }
+  };
+
+  async function autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+    const choices = collectionRegistry.list({ activeOnly: true })
+      .filter(collection => collection.name.toLowerCase().includes(query) || collection.contractAddress.startsWith(query))
+      .slice(0, 25)
+      .map(collection => ({ name: collection.name, value: collection.contractAddress }));
+    await interaction.respond(choices);
+  }
+
+  // interactionCreate handler. discord.js doesn't await listeners, so nothing may
+  // escape it: a failed reply (expired interaction, Discord outage) is only logged.
+  async function handle(interaction) {
+    try {
+      if (interaction.isAutocomplete()) {
+        if (interaction.commandName === 'floor') await autocomplete(interaction);
+        return;
+      }
+
+      if (!interaction.isChatInputCommand() || !handlers[interaction.commandName]) return;
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        await interaction.editReply(await handlers[interaction.commandName](interaction));
+      } catch (error) {
+        console.error(`Error handling /${interaction.commandName}:`, error);
+        await interaction.editReply('Something went wrong, please try again later.');
+      }
+    } catch (error) {
+      console.error(`Error responding to /${interaction.commandName}:`, error);
+    }
+  }
+
+  return {
+    handle
+  };
+}
+
+module.exports = {
+  definitions,
+  createSlashCommands
+};
@@ -0,0 +1,11 @@
+// Times from query strings: unix milliseconds or anything Date can parse. Returns
+// `fallback` when the value is absent and null when it can't be parsed.
+function parseTime(value, fallback) {
+  if (value === undefined) return fallback;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+module.exports = {
+  parseTime
+};
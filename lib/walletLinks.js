@@ -0,0 +1,64 @@
+// Durable Discord user -> linked wallets records
+//
+// Sessions expire, but the wallets a user has proven ownership of need to outlive
+// them so holdings can be re-checked later. Links are keyed by Discord ID.
+
+const LINKS_KEY = 'wallet-links';
+
+function createWalletLinks(kv) {
+  return {
+    async get(discordId) {
+      return kv.hget(LINKS_KEY, discordId);
+    },
+
+    async save({ discordId, username, sessionId, wallets }) {
+      const existing = await kv.hget(LINKS_KEY, discordId);
+      const link = {
+        discordId,
+        username,
+        sessionId,
+        wallets,
+        leaderboardOptIn: existing?.leaderboardOptIn || false,
+        loanNotifications: existing?.loanNotifications ?? true,
+        linkedAt: existing?.linkedAt || Date.now(),
+        updatedAt: Date.now()
+      };
+      await kv.hset(LINKS_KEY, discordId, link);
+      return link;
+    },
+
+    // Whether the user's Discord name may be shown next to their wallets on the leaderboard
+    async setLeaderboardOptIn(discordId, optIn) {
+      const link = await kv.hget(LINKS_KEY, discordId);
+      if (!link) return null;
+
+      link.leaderboardOptIn = !!optIn;
+      link.updatedAt = Date.now();
+      await kv.hset(LINKS_KEY, discordId, link);
+      return link;
+    },
+
+    // Whether the user gets loan due-date reminders and lender updates by DM
+    async setLoanNotifications(discordId, enabled) {
+      const link = await kv.hget(LINKS_KEY, discordId);
+      if (!link) return null;
+
+      link.loanNotifications = !!enabled;
+      link.updatedAt = Date.now();
+      await kv.hset(LINKS_KEY, discordId, link);
+      return link;
+    },
+
+    async remove(discordId) {
+      await kv.hdel(LINKS_KEY, discordId);
+    },
+
+    async list() {
+      return Object.values(await kv.hgetall(LINKS_KEY));
+    }
+  };
+}
+
+module.exports = {
+  createWalletLinks
+};
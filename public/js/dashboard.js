@@ -180,11 +180,23 @@ function updateCharts(data) {
     }
 }
 
+// API key for the dashboard, asked for once and kept in this browser
+function getApiKey() {
+    let apiKey = localStorage.getItem('dashboardApiKey');
+    if (!apiKey) {
+        apiKey = prompt('Enter an API key with frontend:read access');
+        if (apiKey) localStorage.setItem('dashboardApiKey', apiKey);
+    }
+    return apiKey;
+}
+
 // Fetch dashboard data
 async function fetchDashboardData() {
     try {
-        // Use the frontend API key
-        const apiKey = 'toFB_PRi0Fo3ySUgZv8TbkXjBOIW7V6i2lbWUGYuJJY';
+        const apiKey = getApiKey();
+        if (!apiKey) {
+            throw new Error('No API key');
+        }
         
         console.log('Fetching dashboard data...');
         const response = await fetch('/api/dashboard', {
@@ -193,6 +205,11 @@ async function fetchDashboardData() {
             }
         });
         
+        // Forget a key that was rejected so the next refresh asks again
+        if (response.status === 403) {
+            localStorage.removeItem('dashboardApiKey');
+        }
+
         if (!response.ok) {
             const error = await response.json();
             console.error('API Error:', error);
@@ -0,0 +1,38 @@
+// Discord role rules, grouped per guild
+//
+// A role is granted when all of its conditions pass (or any of them, with match: 'any').
+// Supported condition types:
+//   held        - NFTs held in the wallet for `collection`
+//   staked      - NFTs staked in the staking contract
+//   total       - held + staked for `collection` (staking only covers Ape Elite Club)
+//   tier        - staking tier from getUserTier
+//   points      - staking points from getPoints
+//   activeLoans - active loans as a borrower on the lending contract
+// Each condition takes `min` and optionally `max` (both inclusive).
+const APE_ELITE_CLUB = "0x485242262f1e367144fe432ba858f9ef6f491334";
+
+const ROLE_RULES = [
+  {
+    guildId: process.env.GUILD_ID,
+    roles: [
+      {
+        roleId: "1322623738168213575",
+        name: "Verified",
+        conditions: [
+          { type: "total", collection: APE_ELITE_CLUB, min: 1 }
+        ]
+      },
+      {
+        roleId: "1322624148857557084",
+        name: "Elite",
+        conditions: [
+          { type: "total", collection: APE_ELITE_CLUB, min: 10 }
+        ]
+      }
+    ]
+  }
+];
+
+module.exports = {
+  ROLE_RULES
+};
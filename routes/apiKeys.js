@@ -0,0 +1,95 @@
+const express = require('express');
+const { requireScope } = require('../lib/auth');
+const { SCOPES } = require('../lib/apiKeys');
+const router = express.Router();
+
+// Admin management of API keys. The plaintext key is only ever in the response to
+// issuing or rotating it.
+
+function validateKeyFields({ name, scopes, rateLimit, expiresAt }) {
+    if (typeof name !== 'string' || !name.trim()) return 'name is required';
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        return `scopes must be a non-empty list of: ${SCOPES.join(', ')}`;
+    }
+    if (rateLimit !== undefined && rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+        return 'rateLimit must be a positive integer (requests per minute)';
+    }
+    if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+        return 'expiresAt must be a date';
+    }
+    return null;
+}
+
+router.get('/keys', requireScope('admin'), async (req, res) => {
+    try {
+        const apiKeys = req.app.get('apiKeys');
+        res.json({ data: await apiKeys.list() });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: 'Failed to list API keys' });
+    }
+});
+
+router.post('/keys', requireScope('admin'), async (req, res) => {
+    try {
+        const error = validateKeyFields(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { name, scopes, rateLimit, expiresAt } = req.body;
+        const apiKeys = req.app.get('apiKeys');
+        const issued = await apiKeys.issue({
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            rateLimit: rateLimit ?? null,
+            expiresAt: expiresAt ? Date.parse(expiresAt) : null
+        });
+
+        console.log(`API key ${issued.record.id} (${issued.record.name}) issued by ${req.apiKey.id}`);
+        res.status(201).json({ data: issued });
+    } catch (error) {
+        console.error('Error issuing API key:', error);
+        res.status(500).json({ error: 'Failed to issue API key' });
+    }
+});
+
+// Issue a replacement key; the old one keeps working for gracePeriodSeconds (default 0)
+router.post('/keys/:id/rotate', requireScope('admin'), async (req, res) => {
+    try {
+        const gracePeriodSeconds = req.body.gracePeriodSeconds ?? 0;
+        if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0) {
+            return res.status(400).json({ error: 'gracePeriodSeconds must be a non-negative integer' });
+        }
+
+        const apiKeys = req.app.get('apiKeys');
+        const issued = await apiKeys.rotate(req.params.id, { gracePeriod: gracePeriodSeconds * 1000 });
+        if (!issued) {
+            return res.status(404).json({ error: 'No active API key with that id' });
+        }
+
+        console.log(`API key ${req.params.id} rotated to ${issued.record.id} by ${req.apiKey.id}`);
+        res.status(201).json({ data: issued });
+    } catch (error) {
+        console.error('Error rotating API key:', error);
+        res.status(500).json({ error: 'Failed to rotate API key' });
+    }
+});
+
+router.delete('/keys/:id', requireScope('admin'), async (req, res) => {
+    try {
+        const apiKeys = req.app.get('apiKeys');
+        const record = await apiKeys.revoke(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        console.log(`API key ${req.params.id} revoked by ${req.apiKey.id}`);
+        res.json({ data: record });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+module.exports = router;
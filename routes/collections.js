@@ -0,0 +1,86 @@
+const express = require('express');
+const { requireScope } = require('../lib/auth');
+const { validateCollection } = require('../lib/collectionRegistry');
+const router = express.Router();
+
+// Admin management of the tracked collections registry
+
+router.get('/collections', requireScope('admin'), (req, res) => {
+    const collectionRegistry = req.app.get('collectionRegistry');
+    res.json({ data: collectionRegistry.list({ activeOnly: req.query.active === 'true' }) });
+});
+
+// Pull in collections added to or deactivated on the lending contract now
+router.post('/collections/sync', requireScope('admin'), async (req, res) => {
+    try {
+        const collectionRegistry = req.app.get('collectionRegistry');
+        res.json({ data: await collectionRegistry.syncWithLending() });
+    } catch (error) {
+        console.error('Error syncing collections:', error);
+        res.status(500).json({ error: 'Failed to sync collections' });
+    }
+});
+
+router.get('/collections/:address', requireScope('admin'), (req, res) => {
+    const collectionRegistry = req.app.get('collectionRegistry');
+    const collection = collectionRegistry.get(req.params.address);
+    if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+    res.json({ data: collection });
+});
+
+router.post('/collections', requireScope('admin'), async (req, res) => {
+    try {
+        const error = validateCollection(req.body, { isNew: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const collectionRegistry = req.app.get('collectionRegistry');
+        if (collectionRegistry.get(req.body.contractAddress)) {
+            return res.status(409).json({ error: 'Collection is already registered' });
+        }
+
+        res.status(201).json({ data: await collectionRegistry.create(req.body) });
+    } catch (error) {
+        console.error('Error creating collection:', error);
+        res.status(500).json({ error: 'Failed to create collection' });
+    }
+});
+
+router.patch('/collections/:address', requireScope('admin'), async (req, res) => {
+    try {
+        const error = validateCollection(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const collectionRegistry = req.app.get('collectionRegistry');
+        const collection = await collectionRegistry.update(req.params.address, req.body);
+        if (!collection) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+
+        res.json({ data: collection });
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        res.status(500).json({ error: 'Failed to update collection' });
+    }
+});
+
+router.delete('/collections/:address', requireScope('admin'), async (req, res) => {
+    try {
+        const collectionRegistry = req.app.get('collectionRegistry');
+        if (!await collectionRegistry.remove(req.params.address)) {
+            return res.status(404).json({ error: 'Collection not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).json({ error: 'Failed to delete collection' });
+    }
+});
+
+module.exports = router;
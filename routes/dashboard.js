@@ -1,37 +1,64 @@
 const express = require('express');
+const { requireScope } = require('../lib/auth');
 const router = express.Router();
 
-// Store pending role updates
-const pendingRoleUpdates = new Map();
+// Role update jobs live in a leased queue (Redis-backed when REDIS_URL is set).
+// The bot claims jobs, applies them, then acknowledges each job by ID; jobs it
+// never acknowledges are handed out again once their lease expires.
+
+// Bounds for a claim's visibilityTimeout, in seconds
+const MIN_VISIBILITY_TIMEOUT = 5;
+const MAX_VISIBILITY_TIMEOUT = 15 * 60;
 
 // Add role update to pending queue
-router.post('/role-update', async (req, res) => {
+router.post('/role-update', requireScope('bot'), async (req, res) => {
     try {
         const { userId, totalNFTs } = req.body;
-        
+        const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+
         if (!userId || totalNFTs === undefined) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        pendingRoleUpdates.set(userId, {
+        const queue = req.app.get('roleUpdateQueue');
+        const job = await queue.enqueue({
             userId,
             totalNFTs,
             timestamp: Date.now()
-        });
+        }, { idempotencyKey });
 
-        res.json({ success: true });
+        res.json({ success: true, jobId: job.id, duplicate: !!job.duplicate });
     } catch (error) {
         console.error('Error queueing role update:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get pending role updates
-router.get('/pending-role-updates', async (req, res) => {
+// Claim pending role updates
+router.get('/pending-role-updates', requireScope('bot'), async (req, res) => {
     try {
-        const updates = Array.from(pendingRoleUpdates.values());
-        pendingRoleUpdates.clear(); // Clear after sending
-        res.json(updates);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        // Seconds the bot gets to acknowledge a job before it's handed out again
+        const visibilityTimeoutSeconds = req.query.visibilityTimeout !== undefined ? Number(req.query.visibilityTimeout) : 60;
+        if (!Number.isInteger(visibilityTimeoutSeconds)
+            || visibilityTimeoutSeconds < MIN_VISIBILITY_TIMEOUT || visibilityTimeoutSeconds > MAX_VISIBILITY_TIMEOUT) {
+            return res.status(400).json({
+                error: `visibilityTimeout must be a whole number of seconds from ${MIN_VISIBILITY_TIMEOUT} to ${MAX_VISIBILITY_TIMEOUT}`
+            });
+        }
+        const visibilityTimeout = visibilityTimeoutSeconds * 1000;
+
+        const queue = req.app.get('roleUpdateQueue');
+        const jobs = await queue.claim({ limit, visibilityTimeout });
+
+        res.json(jobs.map(job => ({
+            ...job.payload,
+            jobId: job.id,
+            leaseId: job.leaseId,
+            leaseExpiresAt: job.leaseExpiresAt,
+            attempts: job.attempts
+        })));
     } catch (error) {
         console.error('Error fetching pending role updates:', error);
         res.status(500).json({ error: error.message });
@@ -39,22 +66,30 @@ router.get('/pending-role-updates', async (req, res) => {
 });
 
 // Handle role update completion
-router.post('/role-update/complete', async (req, res) => {
+router.post('/role-update/complete', requireScope('bot'), async (req, res) => {
     try {
-        const { userId, success, roles, error } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({ error: 'Missing user ID' });
+        const { jobId, leaseId, userId, success, roles, error } = req.body;
+
+        if (!jobId || !leaseId) {
+            return res.status(400).json({ error: 'Missing job ID or lease ID' });
         }
 
-        // Remove from pending updates since it's completed
-        pendingRoleUpdates.delete(userId);
+        const queue = req.app.get('roleUpdateQueue');
+
+        // Failed updates are retried with backoff, then dead-lettered
+        const settled = success
+            ? await queue.ack(jobId, leaseId)
+            : await queue.fail(jobId, leaseId, error ? String(error) : 'Unknown error');
+
+        if (!settled) {
+            return res.status(409).json({ error: 'Job not found or lease expired' });
+        }
 
         // Log the result
         if (success) {
-            console.log(`Role update completed for user ${userId}:`, roles);
+            console.log(`Role update completed for user ${userId} (job ${jobId}):`, roles);
         } else {
-            console.error(`Role update failed for user ${userId}:`, error);
+            console.error(`Role update failed for user ${userId} (job ${jobId}):`, error);
         }
 
         res.json({ success: true });
@@ -64,54 +99,75 @@ router.post('/role-update/complete', async (req, res) => {
     }
 });
 
+// Role updates that ran out of retries
+router.get('/role-update/dead-letters', requireScope('bot'), async (req, res) => {
+    try {
+        const queue = req.app.get('roleUpdateQueue');
+        res.json({
+            data: await queue.deadLetters(),
+            stats: await queue.stats()
+        });
+    } catch (error) {
+        console.error('Error fetching dead-lettered role updates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Put a dead-lettered role update back in the queue
+router.post('/role-update/dead-letters/:jobId/retry', requireScope('bot'), async (req, res) => {
+    try {
+        const queue = req.app.get('roleUpdateQueue');
+        const retried = await queue.retryDeadLetter(req.params.jobId);
+
+        if (!retried) {
+            return res.status(404).json({ error: 'Dead-lettered job not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error retrying role update:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get dashboard data
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requireScope('frontend:read'), async (req, res) => {
     try {
         console.log('Fetching dashboard data...');
         
-        // Get data from the sessions map
-        const sessions = req.app.get('sessions');
-        const discordSessions = req.app.get('discordSessions');
-        
-        console.log('Sessions:', sessions ? sessions.size : 'null');
-        console.log('Discord Sessions:', discordSessions ? discordSessions.size : 'null');
-
-        // Initialize empty maps if not exists
-        if (!sessions || !discordSessions) {
-            console.log('Initializing empty sessions');
-            req.app.set('sessions', new Map());
-            req.app.set('discordSessions', new Map());
-        }
+        // Get data from the session store
+        const sessionStore = req.app.get('sessionStore');
+        const sessions = sessionStore ? await sessionStore.list() : [];
+
+        console.log('Sessions:', sessions.length);
 
         // Calculate statistics
-        const activeSessions = sessions?.size || 0;
-        const discordUsers = discordSessions?.size || 0;
+        const activeSessions = sessions.length;
+        const discordUsers = new Set(sessions.map(session => session.discordId).filter(Boolean)).size;
         let totalNFTs = 0;
         let verifiedWallets = 0;
         const nftDistribution = { small: 0, medium: 0, large: 0 };
 
         // Process session data
-        if (sessions) {
-            Array.from(sessions.values()).forEach(session => {
-                if (session && session.wallets && Array.isArray(session.wallets)) {
-                    verifiedWallets += session.wallets.length;
-                    session.wallets.forEach(wallet => {
-                        if (wallet && typeof wallet === 'object') {
-                            const nftCount = parseInt(wallet.totalNFTs) || 0;
-                            totalNFTs += nftCount;
-
-                            // Update NFT distribution
-                            if (nftCount <= 5) nftDistribution.small++;
-                            else if (nftCount <= 10) nftDistribution.medium++;
-                            else nftDistribution.large++;
-                        }
-                    });
-                }
-            });
-        }
+        sessions.forEach(session => {
+            if (session && session.wallets && Array.isArray(session.wallets)) {
+                verifiedWallets += session.wallets.length;
+                session.wallets.forEach(wallet => {
+                    if (wallet && typeof wallet === 'object') {
+                        const nftCount = parseInt(wallet.totalNFTs) || 0;
+                        totalNFTs += nftCount;
+
+                        // Update NFT distribution
+                        if (nftCount <= 5) nftDistribution.small++;
+                        else if (nftCount <= 10) nftDistribution.medium++;
+                        else nftDistribution.large++;
+                    }
+                });
+            }
+        });
 
         // Generate recent activity
-        const recentActivity = sessions ? Array.from(sessions.values())
+        const recentActivity = sessions
             .filter(session => session && session.wallets && Array.isArray(session.wallets) && session.wallets.length > 0)
             .map(session => ({
                 username: session.username || 'Unknown User',
@@ -120,12 +176,12 @@ router.get('/dashboard', async (req, res) => {
                 details: `Verified ${session.wallets.length} wallet(s)`
             }))
             .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
-            .slice(0, 10) : [];
+            .slice(0, 10);
 
         // Generate session history
         const sessionHistory = [];
         const now = Date.now();
-        const validSessions = sessions ? Array.from(sessions.values()).filter(session => session && session.createdAt) : [];
+        const validSessions = sessions.filter(session => session && session.createdAt);
 
         for (let i = 23; i >= 0; i--) {
             const timestamp = now - (i * 3600000);
@@ -0,0 +1,89 @@
+const express = require('express');
+const crypto = require('crypto');
+const { STATE_TTL } = require('../lib/discordOAuth');
+const router = express.Router();
+
+// The login state is also kept in a cookie, so a callback only completes in the browser
+// that started the login. Lax rather than Strict: the callback is a top-level redirect
+// from discord.com, which Strict cookies aren't sent on.
+const STATE_COOKIE = 'discord_oauth_state';
+const stateCookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/discord/oauth'
+};
+
+function readCookie(req, name) {
+    const pair = (req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    if (!pair) return null;
+    try {
+        return decodeURIComponent(pair.slice(name.length + 1));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Hashed first: timingSafeEqual needs inputs of equal byte length, which two
+// arbitrary strings of equal length needn't be
+function sameState(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || !a || !b) return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Discord login from the website, without going through the bot
+router.get('/discord/oauth/login', async (req, res, next) => {
+    try {
+        const discordOAuth = req.app.get('discordOAuth');
+        if (!discordOAuth.configured) {
+            return res.status(503).json({ error: 'Discord login is not configured' });
+        }
+
+        const { url, state } = await discordOAuth.authorizationUrl();
+        res.cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: STATE_TTL });
+        res.redirect(url);
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/discord/oauth/callback', async (req, res) => {
+    const { code, state, error } = req.query;
+
+    try {
+        const cookieState = readCookie(req, STATE_COOKIE);
+        res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+        // The user declined on Discord's consent screen
+        if (error) {
+            return res.status(400).json({ error: `Discord login failed: ${error}` });
+        }
+        if (!code || !state) {
+            return res.status(400).json({ error: 'Missing code or state' });
+        }
+        if (!sameState(state, cookieState)) {
+            return res.status(400).json({ error: 'Login was not started from this browser' });
+        }
+
+        const discordOAuth = req.app.get('discordOAuth');
+        const identity = await discordOAuth.complete(code, state);
+        if (!identity) {
+            return res.status(400).json({ error: 'Invalid or expired login state' });
+        }
+
+        const startDiscordSession = req.app.get('startDiscordSession');
+        const session = await startDiscordSession(crypto.randomUUID(), identity.discordId, identity.username);
+        console.log(`Discord login for ${identity.username} (${identity.discordId}), session ${session.id}`);
+
+        res.redirect(req.app.get('verifyPageLink')(session.id));
+    } catch (error) {
+        console.error('Error completing Discord login:', error);
+        res.status(502).json({ error: 'Failed to complete Discord login' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireScope } = require('../lib/auth');
+const { parseInterval } = require('../lib/floorPriceHistory');
+const { parseTime } = require('../lib/time');
+const router = express.Router();
+
+const DEFAULT_RANGE = 7 * 24 * 60 * 60 * 1000;
+
+// Floor price OHLC candles: ?from&to (ms or dates, default last 7 days)&interval (e.g. 1h, 4h, 1d)
+router.get('/floor-price/:address/history', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid collection address' });
+        }
+
+        const to = parseTime(req.query.to, Date.now());
+        const from = to === null ? null : parseTime(req.query.from, to - DEFAULT_RANGE);
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from and to must be timestamps or dates' });
+        }
+
+        const interval = req.query.interval || '1h';
+        const intervalMs = parseInterval(interval);
+        if (!intervalMs) {
+            return res.status(400).json({ error: 'interval must look like 15m, 1h, 1d or 1w' });
+        }
+
+        const floorPriceHistory = req.app.get('floorPriceHistory');
+        const { candles, change } = await floorPriceHistory.summary(address, { from, to, intervalMs });
+
+        res.json({
+            data: {
+                address: address.toLowerCase(),
+                interval,
+                from,
+                to,
+                candles,
+                change
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching floor price history:', error);
+        res.status(500).json({ error: 'Failed to fetch floor price history' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireScope } = require('../lib/auth');
+const { toSafeNumber } = require('../lib/numbers');
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Map wallet -> Discord username for users who opted in to being shown
+async function optedInUsernames(walletLinks) {
+    const usernames = new Map();
+    if (!walletLinks) return usernames;
+
+    const links = await walletLinks.list();
+    links
+        .filter(link => link.leaderboardOptIn)
+        .forEach(link => (link.wallets || []).forEach(wallet => {
+            usernames.set(wallet.toLowerCase(), link.username);
+        }));
+
+    return usernames;
+}
+
+// Share of ranked addresses that sit below this rank
+function percentile(rank, total) {
+    if (total === 0) return 0;
+    return Math.round(((total - rank) / total) * 10000) / 100;
+}
+
+function formatEntry(entry, usernames) {
+    return {
+        rank: entry.rank,
+        address: entry.address,
+        points: entry.points,
+        stakedCount: entry.stakedCount ?? null,
+        tier: entry.tier ?? null,
+        discordUsername: usernames.get(entry.address.toLowerCase()) || null
+    };
+}
+
+// Paginated leaderboard, optionally filtered by minimum points or tier
+router.get('/leaderboard', requireScope('bot'), async (req, res) => {
+    try {
+        const leaderboardCache = req.app.get('leaderboardCache');
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const minPoints = req.query.minPoints !== undefined ? Number(req.query.minPoints) : null;
+        const tier = req.query.tier !== undefined ? Number(req.query.tier) : null;
+
+        let entries = leaderboardCache.data;
+        if (minPoints !== null) entries = entries.filter(entry => entry.points >= minPoints);
+        if (tier !== null) entries = entries.filter(entry => entry.tier === tier);
+
+        const usernames = await optedInUsernames(req.app.get('walletLinks'));
+        const page = entries.slice(offset, offset + limit).map(entry => formatEntry(entry, usernames));
+
+        res.json({
+            data: page,
+            pagination: {
+                total: entries.length,
+                limit,
+                offset,
+                nextOffset: offset + limit < entries.length ? offset + limit : null
+            },
+            lastUpdated: leaderboardCache.lastUpdated
+        });
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// Stored leaderboard snapshots, newest first (entries omitted)
+router.get('/leaderboard/snapshots', requireScope('bot'), async (req, res) => {
+    try {
+        const snapshots = req.app.get('leaderboardSnapshots');
+        res.json({ data: await snapshots.list() });
+    } catch (error) {
+        console.error('Error fetching leaderboard snapshots:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard snapshots' });
+    }
+});
+
+// Rank movement between two snapshots: ?from=<id>&to=<id>
+router.get('/leaderboard/snapshots/diff', requireScope('bot'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!from || !to) {
+            return res.status(400).json({ error: 'Both from and to snapshot IDs are required' });
+        }
+
+        const snapshots = req.app.get('leaderboardSnapshots');
+        const diff = await snapshots.diff(from, to);
+        if (!diff) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        res.json({ data: diff });
+    } catch (error) {
+        console.error('Error diffing leaderboard snapshots:', error);
+        res.status(500).json({ error: 'Failed to diff leaderboard snapshots' });
+    }
+});
+
+router.get('/leaderboard/snapshots/:id', requireScope('bot'), async (req, res) => {
+    try {
+        const snapshots = req.app.get('leaderboardSnapshots');
+        const snapshot = await snapshots.get(req.params.id);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        res.json({ data: snapshot });
+    } catch (error) {
+        console.error('Error fetching leaderboard snapshot:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard snapshot' });
+    }
+});
+
+// Rank, points, percentile and staking tier for one address
+router.get('/leaderboard/:address', requireScope('bot'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+
+        const leaderboardCache = req.app.get('leaderboardCache');
+        const entry = leaderboardCache.data.find(item => item.address.toLowerCase() === address.toLowerCase());
+        if (!entry) {
+            return res.status(404).json({ error: 'Address not on leaderboard' });
+        }
+
+        // Tier comes straight from the contract so it's never stale, falling back to the
+        // cached one when the contract can't be reached
+        const stakingContract = req.app.get('stakingContract');
+        let tier = entry.tier;
+        try {
+            tier = toSafeNumber(await stakingContract.getUserTier(address));
+        } catch (error) {
+            console.error(`Error reading staking tier for ${address}, using the cached one:`, error.message);
+        }
+
+        const usernames = await optedInUsernames(req.app.get('walletLinks'));
+        const total = leaderboardCache.data.length;
+
+        res.json({
+            data: {
+                ...formatEntry(entry, usernames),
+                tier,
+                total,
+                percentile: percentile(entry.rank, total)
+            },
+            lastUpdated: leaderboardCache.lastUpdated
+        });
+    } catch (error) {
+        console.error('Error fetching leaderboard entry:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard entry' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireScope } = require('../lib/auth');
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const BASIS_POINTS = 10000;
+
+const SORT_FIELDS = {
+    apy: offer => offer.apy,
+    duration: offer => offer.duration,
+    amount: offer => Number(ethers.utils.formatEther(offer.loanAmount))
+};
+
+// calculateTotalRepayment is pure, so each principal/interest pair only needs one call
+const repaymentCache = new Map();
+const REPAYMENT_CACHE_SIZE = 1000;
+
+function formatOffer(offer) {
+    return {
+        offerId: offer.offerId,
+        lender: offer.lender,
+        borrower: offer.borrower,
+        nftContract: offer.nftContract,
+        tokenId: offer.tokenId,
+        isCollectionWide: offer.isCollectionWide,
+        loanAmount: ethers.utils.formatEther(offer.loanAmount),
+        apy: offer.apy,
+        duration: offer.duration,
+        status: offer.status,
+        repayAmount: offer.repayAmount ? ethers.utils.formatEther(offer.repayAmount) : null,
+        repaidAmount: offer.repaidAmount ? ethers.utils.formatEther(offer.repaidAmount) : null,
+        dueDate: offer.dueDate,
+        createdBlock: offer.createdBlock,
+        updatedBlock: offer.updatedBlock
+    };
+}
+
+function formatQuote({ totalRepayment, principal, interest, fees }) {
+    return {
+        totalRepayment: ethers.utils.formatEther(totalRepayment),
+        principal: ethers.utils.formatEther(principal),
+        interest: ethers.utils.formatEther(interest),
+        fees: ethers.utils.formatEther(fees)
+    };
+}
+
+async function calculateTotalRepayment(lendingContract, principal, interest) {
+    const key = `${principal}:${interest}`;
+    if (!repaymentCache.has(key)) {
+        if (repaymentCache.size >= REPAYMENT_CACHE_SIZE) {
+            repaymentCache.delete(repaymentCache.keys().next().value);
+        }
+        repaymentCache.set(key, await lendingContract.calculateTotalRepayment(principal, interest));
+    }
+    return repaymentCache.get(key);
+}
+
+// Open offers for a collection: ?sort=apy|duration|amount&order=asc|desc&limit&offset
+router.get('/collections/:collectionAddress/offers', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const { collectionAddress } = req.params;
+        if (!ethers.utils.isAddress(collectionAddress)) {
+            return res.status(400).json({ error: 'Invalid collection address' });
+        }
+
+        const sort = req.query.sort || 'amount';
+        if (!SORT_FIELDS[sort]) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` });
+        }
+        const direction = req.query.order === 'asc' ? 1 : -1;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const lendingIndexer = req.app.get('lendingIndexer');
+        const offers = (await lendingIndexer.offers())
+            .filter(offer => offer.status === 'pending' && offer.nftContract === collectionAddress.toLowerCase())
+            .sort((a, b) => direction * (SORT_FIELDS[sort](a) - SORT_FIELDS[sort](b)));
+
+        res.json({
+            data: offers.slice(offset, offset + limit).map(formatOffer),
+            pagination: {
+                total: offers.length,
+                limit,
+                offset,
+                nextOffset: offset + limit < offers.length ? offset + limit : null
+            },
+            lastIndexedBlock: await lendingIndexer.getCursor()
+        });
+    } catch (error) {
+        console.error('Error fetching collection offers:', error);
+        res.status(500).json({ error: 'Failed to fetch offers' });
+    }
+});
+
+// A wallet's loans as borrower and lender, split into open, active and past
+router.get('/wallets/:address/loans', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+
+        const wallet = address.toLowerCase();
+        const lendingIndexer = req.app.get('lendingIndexer');
+        const offers = await lendingIndexer.offers();
+
+        const asBorrower = offers.filter(offer => offer.borrower && offer.borrower.toLowerCase() === wallet);
+        const asLender = offers.filter(offer => offer.lender && offer.lender.toLowerCase() === wallet);
+        const byStatus = (list, statuses) => list
+            .filter(offer => statuses.includes(offer.status))
+            .sort((a, b) => b.updatedBlock - a.updatedBlock)
+            .map(formatOffer);
+
+        res.json({
+            data: {
+                address,
+                asBorrower: {
+                    active: byStatus(asBorrower, ['active']),
+                    past: byStatus(asBorrower, ['repaid', 'defaulted'])
+                },
+                asLender: {
+                    open: byStatus(asLender, ['pending']),
+                    active: byStatus(asLender, ['active']),
+                    past: byStatus(asLender, ['repaid', 'defaulted', 'cancelled'])
+                }
+            },
+            lastIndexedBlock: await lendingIndexer.getCursor()
+        });
+    } catch (error) {
+        console.error('Error fetching wallet loans:', error);
+        res.status(500).json({ error: 'Failed to fetch wallet loans' });
+    }
+});
+
+router.get('/loans/:offerId', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const lendingIndexer = req.app.get('lendingIndexer');
+        const offer = await lendingIndexer.getOffer(req.params.offerId);
+        if (!offer) {
+            return res.status(404).json({ error: 'Loan not found' });
+        }
+
+        res.json({
+            data: {
+                ...formatOffer(offer),
+                events: offer.events
+            },
+            lastIndexedBlock: await lendingIndexer.getCursor()
+        });
+    } catch (error) {
+        console.error('Error fetching loan:', error);
+        res.status(500).json({ error: 'Failed to fetch loan' });
+    }
+});
+
+// Repayment quote in the shape of getRepaymentDetails. Active loans are quoted by the
+// contract; open offers are previewed as if accepted now, with interest accrued pro rata
+// over the full duration (seconds, as the indexer stores it; APY in basis points) and
+// fees from calculateTotalRepayment.
+router.get('/loans/:offerId/repayment-quote', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const lendingIndexer = req.app.get('lendingIndexer');
+        const lendingContract = req.app.get('lendingContract');
+        const offer = await lendingIndexer.getOffer(req.params.offerId);
+        if (!offer) {
+            return res.status(404).json({ error: 'Loan not found' });
+        }
+
+        if (offer.status === 'active') {
+            const details = await lendingContract.getRepaymentDetails(offer.offerId);
+            return res.json({
+                data: { offerId: offer.offerId, status: offer.status, source: 'contract', dueDate: offer.dueDate, ...formatQuote(details) }
+            });
+        }
+
+        if (offer.status === 'pending') {
+            const principal = ethers.BigNumber.from(offer.loanAmount);
+            const interest = principal.mul(offer.apy).mul(offer.duration).div(SECONDS_PER_YEAR * BASIS_POINTS);
+            const { totalRepayment, fees } = await calculateTotalRepayment(lendingContract, principal, interest);
+
+            return res.json({
+                data: { offerId: offer.offerId, status: offer.status, source: 'preview', duration: offer.duration, ...formatQuote({ totalRepayment, principal, interest, fees }) }
+            });
+        }
+
+        res.status(409).json({ error: `Loan is ${offer.status}, nothing to repay` });
+    } catch (error) {
+        console.error('Error quoting repayment:', error);
+        res.status(500).json({ error: 'Failed to quote repayment' });
+    }
+});
+
+module.exports = router;
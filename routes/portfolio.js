@@ -0,0 +1,25 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireScope } = require('../lib/auth');
+const router = express.Router();
+
+// NFTs held, staked and used as loan collateral, valued at the floor, less loan debt
+router.get('/portfolio/:address', requireScope('bot'), async (req, res) => {
+    try {
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+
+        const portfolioService = req.app.get('portfolioService');
+        res.json({
+            data: await portfolioService.valuate(ethers.utils.getAddress(address)),
+            floorPricesUpdated: req.app.get('floorPriceCache').lastUpdated
+        });
+    } catch (error) {
+        console.error('Error valuing portfolio:', error);
+        res.status(500).json({ error: 'Failed to value portfolio' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { requireScope } = require('../lib/auth');
+const { parseTime } = require('../lib/time');
+const router = express.Router();
+
+// Current TVL, volume, fees, active loans and default rate, with a per-collection breakdown
+router.get('/protocol/stats', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const protocolStats = req.app.get('protocolStats');
+        const stats = protocolStats.cache.data || await protocolStats.sample();
+        if (!stats) {
+            return res.status(503).json({ error: 'Protocol stats not available yet' });
+        }
+
+        res.json({ data: stats, lastUpdated: protocolStats.cache.lastUpdated });
+    } catch (error) {
+        console.error('Error fetching protocol stats:', error);
+        res.status(500).json({ error: 'Failed to fetch protocol stats' });
+    }
+});
+
+// Time series for charts: ?source=samples|snapshots&from&to
+// `samples` are our periodic readings, `snapshots` the contract's MetricsSnapshotTaken events
+router.get('/protocol/stats/history', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const source = req.query.source || 'samples';
+        if (source !== 'samples' && source !== 'snapshots') {
+            return res.status(400).json({ error: 'source must be samples or snapshots' });
+        }
+
+        const from = parseTime(req.query.from, 0);
+        const to = parseTime(req.query.to, Date.now());
+        if (from === null || to === null) {
+            return res.status(400).json({ error: 'from and to must be timestamps or dates' });
+        }
+
+        const protocolStats = req.app.get('protocolStats');
+        const data = source === 'samples'
+            ? await protocolStats.history({ from, to })
+            : await protocolStats.snapshots({ from, to });
+
+        res.json({ data, source, from, to });
+    } catch (error) {
+        console.error('Error fetching protocol stats history:', error);
+        res.status(500).json({ error: 'Failed to fetch protocol stats history' });
+    }
+});
+
+// Emergency, pause and fee wallet state, with the blacklist and role members seen in events
+router.get('/protocol/status', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const adminMonitor = req.app.get('adminMonitor');
+        res.json({ data: await adminMonitor.status() });
+    } catch (error) {
+        console.error('Error fetching protocol status:', error);
+        res.status(500).json({ error: 'Failed to fetch protocol status' });
+    }
+});
+
+// Recent admin and emergency events, newest first
+router.get('/protocol/admin-events', requireScope('admin'), async (req, res) => {
+    try {
+        const adminMonitor = req.app.get('adminMonitor');
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000);
+        res.json({ data: await adminMonitor.events({ limit }) });
+    } catch (error) {
+        console.error('Error fetching admin events:', error);
+        res.status(500).json({ error: 'Failed to fetch admin events' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { requireScope } = require('../lib/auth');
+const { loanRisk, collectionRisk } = require('../lib/riskMetrics');
+const router = express.Router();
+
+const thresholds = {
+    warningLtv: parseFloat(process.env.RISK_WARNING_LTV) || undefined,
+    maxLtv: parseFloat(process.env.RISK_MAX_LTV) || undefined
+};
+
+function floorPriceFor(req, collectionAddress) {
+    const floorPriceCache = req.app.get('floorPriceCache');
+    const floor = floorPriceCache.data[collectionAddress.toLowerCase()];
+    return floor ? Number(floor.floorPrice) : null;
+}
+
+// Active loans with their LTV, riskiest first: ?collection&lender&borrower&atRisk=true&underCollateralized=true
+router.get('/risk/loans', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const { collection, lender, borrower } = req.query;
+        for (const address of [collection, lender, borrower]) {
+            if (address !== undefined && !ethers.utils.isAddress(address)) {
+                return res.status(400).json({ error: 'Invalid address' });
+            }
+        }
+
+        const lendingIndexer = req.app.get('lendingIndexer');
+        let loans = (await lendingIndexer.offers()).filter(offer => offer.status === 'active');
+        if (collection) loans = loans.filter(loan => loan.nftContract === collection.toLowerCase());
+        if (lender) loans = loans.filter(loan => loan.lender.toLowerCase() === lender.toLowerCase());
+        if (borrower) loans = loans.filter(loan => loan.borrower && loan.borrower.toLowerCase() === borrower.toLowerCase());
+
+        let risks = loans.map(loan => loanRisk(loan, floorPriceFor(req, loan.nftContract), thresholds));
+        if (req.query.atRisk === 'true') risks = risks.filter(risk => risk.atRisk);
+        if (req.query.underCollateralized === 'true') risks = risks.filter(risk => risk.underCollateralized);
+
+        // Loans without a floor price sort last
+        risks.sort((a, b) => (b.ltv ?? -1) - (a.ltv ?? -1));
+
+        res.json({
+            data: risks,
+            floorPricesUpdated: req.app.get('floorPriceCache').lastUpdated
+        });
+    } catch (error) {
+        console.error('Error fetching loan risk:', error);
+        res.status(500).json({ error: 'Failed to fetch loan risk' });
+    }
+});
+
+// LTV across a collection's active loans and its best offer relative to the floor
+router.get('/risk/:collectionAddress', requireScope('frontend:read'), async (req, res) => {
+    try {
+        const { collectionAddress } = req.params;
+        if (!ethers.utils.isAddress(collectionAddress)) {
+            return res.status(400).json({ error: 'Invalid collection address' });
+        }
+
+        const lendingIndexer = req.app.get('lendingIndexer');
+        const poolStatsCache = req.app.get('poolStatsCache');
+        const loans = (await lendingIndexer.offers())
+            .filter(offer => offer.status === 'active' && offer.nftContract === collectionAddress.toLowerCase());
+
+        const floorPrice = floorPriceFor(req, collectionAddress);
+        const poolStats = poolStatsCache.data[collectionAddress.toLowerCase()];
+        if (floorPrice === null && !poolStats && loans.length === 0) {
+            return res.status(404).json({ error: 'No floor price or lending data for collection' });
+        }
+
+        res.json({
+            data: collectionRisk({ collectionAddress, floorPrice, poolStats, loans, thresholds }),
+            floorPricesUpdated: req.app.get('floorPriceCache').lastUpdated,
+            poolStatsUpdated: poolStats ? poolStats.lastUpdated : null
+        });
+    } catch (error) {
+        console.error('Error fetching collection risk:', error);
+        res.status(500).json({ error: 'Failed to fetch collection risk' });
+    }
+});
+
+module.exports = router;
@@ -1,39 +1,141 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
 require('dotenv').config();
 const rateLimit = require('express-rate-limit');
-const RedisStore = require('rate-limit-redis');
+const { RedisStore } = require('rate-limit-redis');
 const Redis = require('ioredis');
 const nftAbi = require('./abis/nftAbi.json');
 const stakingAbi = require('./abis/stakingAbi.json');
 const { Client, GatewayIntentBits } = require('discord.js');
 const { TRACKED_COLLECTIONS } = require('./trackedCollections');
+const { ROLE_RULES } = require('./roleRules');
+const {
+  buildCollectionRules,
+  mergeRoleRules,
+  gatherFacts,
+  collectionHoldings,
+  evaluateRoles
+} = require('./lib/roleEngine');
 const LENDING_CONTRACT_ABI = require('./lendingContractABI.json');
+const { toSafeNumber } = require('./lib/numbers');
+const { SIWE_STATEMENTS, createChallenge } = require('./lib/siwe');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createKeyValueStore } = require('./lib/kvStore');
+const { createWalletLinks } = require('./lib/walletLinks');
+const { createRoleChangeLog } = require('./lib/roleChangeLog');
+const { createReverifyWorker } = require('./lib/reverifyWorker');
+const { createChainWatcher } = require('./lib/chainWatcher');
+const { createJobQueue } = require('./lib/jobQueue');
+const { createLeaderboardIndexer } = require('./lib/leaderboardIndexer');
+const { createLeaderboardSnapshots } = require('./lib/leaderboardSnapshots');
+const { createLendingIndexer } = require('./lib/lendingIndexer');
+const { createLoanNotifier } = require('./lib/loanNotifier');
+const { createProtocolStats } = require('./lib/protocolStats');
+const { createAdminMonitor } = require('./lib/adminMonitor');
+const { createLogScanner } = require('./lib/logScanner');
+const { createMagicEdenProvider, createManualProvider, createFloorPriceService } = require('./lib/priceProviders');
+const { createFloorPriceHistory } = require('./lib/floorPriceHistory');
+const { createCollectionRegistry } = require('./lib/collectionRegistry');
+const { createPortfolioService } = require('./lib/portfolio');
+const { createApiKeyRegistry } = require('./lib/apiKeys');
+const { createDiscordOAuth } = require('./lib/discordOAuth');
+const { definitions: slashCommandDefinitions, createSlashCommands } = require('./lib/slashCommands');
+const { createAnnouncements } = require('./lib/announcements');
 
 const app = express();
 
-// Initialize session maps
-const sessions = new Map();
-const discordSessions = new Map();
+// Create Redis client if you have Redis URL
+const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
+
+// Initialize session store (Redis when available, in-memory otherwise)
+const sessionStore = createSessionStore(redis);
+app.set('sessionStore', sessionStore);
+
+// Persistent state that outlives sessions (wallet links, role change history, ...)
+const kvStore = createKeyValueStore(redis);
+const walletLinks = createWalletLinks(kvStore);
+const roleChangeLog = createRoleChangeLog(kvStore);
+app.set('walletLinks', walletLinks);
+
+// Role updates handed to the Discord bot, and role refreshes we process ourselves
+const roleUpdateQueue = createJobQueue(redis, 'role-updates');
+const roleRefreshQueue = createJobQueue(redis, 'role-refresh');
+app.set('roleUpdateQueue', roleUpdateQueue);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// API Keys
-const BOT_API_KEY = process.env.BOT_API_KEY;
-const FRONTEND_API_KEY = process.env.FRONTEND_API_KEY;
+// Shared Redis counters when available, one prefix per limiter so their hits don't mix
+const limiterStore = prefix => (redis
+  ? new RedisStore({ sendCommand: (...args) => redis.call(...args), prefix: `rl:${prefix}:` })
+  : undefined);
 
-// API key validation middleware
-const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  if (!apiKey || apiKey !== process.env.BOT_API_KEY) {
-    return res.status(403).json({ error: 'Invalid API key' });
-  }
-  next();
+// Different limiters for different endpoints
+const limiters = {
+  basic: rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { error: 'Too many requests, please try again later' },
+    standardHeaders: true,
+    store: limiterStore('basic'),
+    keyGenerator: (req) => {
+      return req.headers['x-forwarded-for'] || req.ip;
+    },
+  }),
+  wallet: rateLimit({
+    windowMs: 5 * 60 * 1000,
+    max: 50,
+    message: { error: 'Too many wallet verification attempts' },
+    store: limiterStore('wallet'),
+    keyGenerator: (req) => {
+      const ip = req.headers['x-forwarded-for'] || req.ip;
+      const sessionId = req.params.sessionId;
+      return `${ip}-${sessionId}`;
+    },
+  }),
+  health: rateLimit({
+    windowMs: 1 * 60 * 1000,
+    max: 100,
+    store: limiterStore('health'),
+  })
 };
 
+// Apply different rate limits to different routes, ahead of the routes themselves
+app.get('/health', limiters.health);
+app.use('/api/discord/session', limiters.basic);
+app.use('/api/discord/webhook', limiters.basic);
+app.use('/api/discord/:sessionId/wallets', limiters.wallet);
+app.use('/api/discord/:sessionId/nonce', limiters.wallet);
+
+// API keys, issued by admins with scopes; the keys from .env keep working
+const apiKeys = createApiKeyRegistry(kvStore, {
+  envKeys: [
+    { name: 'BOT_API_KEY', key: process.env.BOT_API_KEY, scopes: ['bot'] },
+    { name: 'FRONTEND_API_KEY', key: process.env.FRONTEND_API_KEY, scopes: ['frontend:read'] },
+    { name: 'ADMIN_API_KEY', key: process.env.ADMIN_API_KEY, scopes: ['admin'] }
+  ]
+});
+app.set('apiKeys', apiKeys);
+
+// Per-key request limit, for keys issued with a rateLimit (requests per minute)
+app.set('apiKeyLimiter', rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimit,
+  message: { error: 'API key rate limit exceeded' },
+  standardHeaders: true,
+  store: limiterStore('api-key'),
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+}));
+
+// API key validation middleware
+const { requireScope } = require('./lib/auth');
+
+const apiKeyRoutes = require('./routes/apiKeys');
+app.use('/api', apiKeyRoutes);
+
 // Verify signature function
 function verifySignature(address, message, signature) {
   try {
@@ -63,75 +165,211 @@ const lendingContract = new ethers.Contract(
 console.log('Contract Events:', lendingContract.interface.events);
 console.log('ABI:', LENDING_CONTRACT_ABI.abi);
 
+// One scan of the lending contract's logs for the admin monitor, protocol stats and
+// leaderboard snapshots; polling starts once they have all subscribed
+const lendingLogScanner = createLogScanner({
+  provider,
+  kv: kvStore,
+  contract: lendingContract,
+  startBlock: parseInt(process.env.LENDING_START_BLOCK, 10) || 6970654,
+  reorgDepth: parseInt(process.env.LENDING_REORG_DEPTH, 10) || 20
+});
+
+// Tracked collections, seeded from trackedCollections.js and synced with the lending contract
+const collectionRegistry = createCollectionRegistry({ kv: kvStore, seed: TRACKED_COLLECTIONS, lendingContract });
+app.set('collectionRegistry', collectionRegistry);
+
+async function syncCollections() {
+  try {
+    await collectionRegistry.syncWithLending();
+  } catch (error) {
+    console.error('Error syncing collections with the lending contract:', error);
+  }
+}
+
+collectionRegistry.load()
+  .catch(error => console.error('Error loading collections registry:', error))
+  .then(syncCollections);
+
+// Sync every 10 minutes by default
+setInterval(syncCollections, (parseInt(process.env.COLLECTION_SYNC_INTERVAL_MINUTES, 10) || 10) * 60 * 1000);
+
+const collectionRoutes = require('./routes/collections');
+app.use('/api', collectionRoutes);
+
+// Issue a signature challenge for linking (or, with ?purpose=unlink, unlinking) a wallet
+app.get('/api/discord/:sessionId/nonce', async (req, res) => {
+  const { sessionId } = req.params;
+  const { address, purpose = 'link' } = req.query;
+
+  if (!address || !ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!SIWE_STATEMENTS[purpose]) {
+    return res.status(400).json({ error: 'purpose must be link or unlink' });
+  }
+
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Issuing a new challenge replaces any previous one for this session
+    const challenge = createChallenge(sessionId, ethers.utils.getAddress(address), purpose);
+    await sessionStore.setChallenge(sessionId, challenge);
+
+    res.json({
+      message: challenge.message,
+      nonce: challenge.nonce,
+      expiresAt: new Date(challenge.expiresAt).toISOString()
+    });
+  } catch (error) {
+    console.error('Error issuing wallet challenge:', error);
+    res.status(500).json({ error: 'Failed to issue challenge' });
+  }
+});
+
+// Consume the session's challenge and check the wallet signed it for this purpose
+async function verifyWalletChallenge(sessionId, address, message, signature, purpose) {
+  // Challenges are single-use, whether or not verification succeeds
+  const challenge = await sessionStore.takeChallenge(sessionId);
+  if (!challenge) {
+    return 'No active challenge for this session';
+  }
+
+  if (Date.now() > challenge.expiresAt) {
+    return 'Challenge expired';
+  }
+
+  if (challenge.address.toLowerCase() !== address.toLowerCase() || challenge.message !== message
+    || (challenge.purpose || 'link') !== purpose) {
+    return 'Challenge does not match';
+  }
+
+  if (!verifySignature(address, message, signature)) {
+    return 'Invalid signature';
+  }
+
+  return null;
+}
+
 // Wallet update endpoint
 app.post('/api/discord/:sessionId/wallets', async (req, res) => {
   console.log('Received request for session:', req.params.sessionId);
   const { sessionId } = req.params;
-  const { address } = req.body;
+  const { address, message, signature } = req.body;
+
+  if (!address || !message || !signature) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
 
   try {
-    const hasNFTs = await checkNFTHoldings(address);
-    const hasStakedNFTs = await checkStakedNFTs(address);
+    const challengeError = await verifyWalletChallenge(sessionId, address, message, signature, 'link');
+    if (challengeError) {
+      return res.status(401).json({ error: challengeError });
+    }
+
+    await updateSessionWithWallet(sessionId, ethers.utils.getAddress(address));
 
-    if (hasNFTs || hasStakedNFTs) {
-      await assignDiscordRoles(sessionId, address, hasStakedNFTs);
+    // Roles reflect every wallet linked to the session, not just this one
+    const result = await assignDiscordRoles(sessionId);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to check NFT holdings' });
     }
 
-    res.json({ success: true, hasNFTs, hasStakedNFTs });
+    const { facts, holdings, evaluation } = result;
+    const hasNFTs = holdings.some(collection => collection.held > 0);
+    const hasStakedNFTs = facts.staked > 0;
+
+    res.json({ success: true, hasNFTs, hasStakedNFTs, collections: holdings, roles: evaluation });
   } catch (error) {
     console.error('Error checking NFT holdings:', error);
     res.status(500).json({ error: 'Failed to check NFT holdings' });
   }
 });
 
-// Cleanup expired sessions
-function cleanupSessions() {
-  const now = Date.now();
-  sessions.forEach((session, sessionId) => {
-    if (now - session.lastActivity > SESSION_TIMEOUT) {
-      console.log('Cleaning up expired session:', sessionId);
-      sessions.delete(sessionId);
-      if (session.discordId) {
-        discordSessions.delete(session.discordId);
-      }
-    }
-  });
-}
-
-// Run cleanup every hour
-setInterval(cleanupSessions, 60 * 60 * 1000);
-
 // Import and use dashboard routes
 const dashboardRoutes = require('./routes/dashboard');
 app.use('/api', dashboardRoutes);
 
-// Basic health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    sessions: {
-      discord: Array.from(discordSessions.keys()),
-      wallet: Array.from(sessions.keys())
-    }
-  });
+// Session counts for the health check, cached so probes don't scan the store each time
+const HEALTH_SESSIONS_TTL = 60 * 1000;
+let healthSessions = null;
+
+async function countSessions() {
+  if (!healthSessions || Date.now() - healthSessions.countedAt > HEALTH_SESSIONS_TTL) {
+    const allSessions = await sessionStore.list();
+    healthSessions = {
+      total: allSessions.length,
+      discord: allSessions.filter(session => session.discordId).length,
+      countedAt: Date.now()
+    };
+  }
+  return { total: healthSessions.total, discord: healthSessions.discord };
+}
+
+// Health check endpoint
+app.get('/health', async (req, res, next) => {
+  try {
+    const health = {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      environment: process.env.NODE_ENV || 'development',
+      sessions: await countSessions()
+    };
+
+    console.log('HEALTH_CHECK', 'Health check requested', health);
+    res.json(health);
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Discord session endpoint
-app.get('/api/discord/session/:sessionId', (req, res) => {
+// Discord session endpoint (looked up by Discord ID, so it's for the bot only)
+app.get('/api/discord/session/:sessionId', requireScope('bot'), async (req, res, next) => {
   const { sessionId } = req.params;
   console.log('Fetching Discord session:', sessionId);
 
-  const session = discordSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+  try {
+    const session = await sessionStore.getByDiscordId(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-  res.json(session);
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
 });
 
+// Start a verification session for a Discord user
+async function startDiscordSession(sessionId, discordId, username) {
+  // Carry over wallets the user already linked in an earlier session
+  const existingLink = await walletLinks.get(discordId);
+
+  const session = {
+    id: sessionId,
+    discordId,
+    username,
+    isDiscordConnected: true,
+    wallets: existingLink?.wallets || [],
+    createdAt: Date.now(),
+    lastActivity: Date.now()
+  };
+
+  return sessionStore.set(session);
+}
+
 // Discord webhook endpoint
-app.post('/api/discord/webhook', validateApiKey, (req, res) => {
+app.post('/api/discord/webhook', requireScope('bot'), async (req, res) => {
   try {
     const { sessionId, username, discordId } = req.body;
 
@@ -142,18 +380,7 @@ app.post('/api/discord/webhook', validateApiKey, (req, res) => {
       });
     }
 
-    const session = {
-      id: sessionId,
-      discordId,
-      username: decodeURIComponent(username),
-      isDiscordConnected: true,
-      wallets: [],
-      createdAt: Date.now(),
-      lastActivity: Date.now()
-    };
-
-    sessions.set(sessionId, session);
-    discordSessions.set(discordId, session);
+    const session = await startDiscordSession(sessionId, discordId, decodeURIComponent(username));
 
     res.json({
       success: true,
@@ -165,20 +392,31 @@ app.post('/api/discord/webhook', validateApiKey, (req, res) => {
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.log('ERROR', 'Unhandled error occurred', {
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method
-  });
-  res.status(500).json({
-    error: err.message,
-    status: 'error'
-  });
+// Discord login from the website, without going through the bot
+const discordOAuth = createDiscordOAuth({
+  kv: kvStore,
+  clientId: process.env.DISCORD_CLIENT_ID,
+  clientSecret: process.env.DISCORD_CLIENT_SECRET,
+  redirectUri: process.env.DISCORD_REDIRECT_URI,
+  authorizeUrl: process.env.DISCORD_OAUTH_AUTHORIZE_URL,
+  apiUrl: process.env.DISCORD_API_URL
 });
 
+// Where users land once their session exists
+const VERIFY_PAGE_URL = process.env.VERIFY_PAGE_URL || 'https://deape.fi/verify.html';
+
+function verifyPageLink(sessionId) {
+  const separator = VERIFY_PAGE_URL.includes('?') ? '&' : '?';
+  return `${VERIFY_PAGE_URL}${separator}session=${encodeURIComponent(sessionId)}`;
+}
+
+app.set('discordOAuth', discordOAuth);
+app.set('startDiscordSession', startDiscordSession);
+app.set('verifyPageLink', verifyPageLink);
+
+const discordOAuthRoutes = require('./routes/discordOAuth');
+app.use('/api', discordOAuthRoutes);
+
 // Debug logging middleware
 app.use((req, res, next) => {
   console.log(`${req.method} ${req.path}`, {
@@ -189,24 +427,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const health = {
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage(),
-    environment: process.env.NODE_ENV || 'development',
-    sessions: {
-      total: sessions.size,
-      discord: discordSessions.size
-    }
-  };
-
-  console.log('HEALTH_CHECK', 'Health check requested', health);
-  res.json(health);
-});
-
 // Add request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -224,53 +444,18 @@ app.use((req, res, next) => {
 });
 
 // Debug sessions endpoint
-app.get('/api/debug/sessions', validateApiKey, (req, res) => {
-  const allSessions = Array.from(sessions.entries());
-  res.json({
-    totalSessions: sessions.size,
-    sessions: allSessions
-  });
+app.get('/api/debug/sessions', requireScope('bot'), async (req, res, next) => {
+  try {
+    const allSessions = await sessionStore.list();
+    res.json({
+      totalSessions: allSessions.length,
+      sessions: allSessions.map(session => [session.id, session])
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Create Redis client if you have Redis URL
-const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
-
-// Different limiters for different endpoints
-const limiters = {
-  basic: rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 300,
-    message: { error: 'Too many requests, please try again later' },
-    standardHeaders: true,
-    store: redis ? new RedisStore({ client: redis }) : undefined,
-    keyGenerator: (req) => {
-      return req.headers['x-forwarded-for'] || req.ip;
-    },
-  }),
-  wallet: rateLimit({
-    windowMs: 5 * 60 * 1000,
-    max: 50,
-    message: { error: 'Too many wallet verification attempts' },
-    store: redis ? new RedisStore({ client: redis }) : undefined,
-    keyGenerator: (req) => {
-      const ip = req.headers['x-forwarded-for'] || req.ip;
-      const sessionId = req.params.sessionId;
-      return `${ip}-${sessionId}`;
-    },
-  }),
-  health: rateLimit({
-    windowMs: 1 * 60 * 1000,
-    max: 100,
-    store: redis ? new RedisStore({ client: redis }) : undefined,
-  })
-};
-
-// Apply different rate limits to different routes
-app.get('/health', limiters.health);
-app.use('/api/discord/session', limiters.basic);
-app.use('/api/discord/webhook', limiters.basic);
-app.use('/api/discord/:sessionId/wallets', limiters.wallet);
-
 // Start the server
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
@@ -289,80 +474,142 @@ async function fetchTotalNFTs(walletAddress) {
   }
 }
 
-// Function to update user roles based on total NFTs
-async function updateUserRoles(userId, totalNFTs) {
+// Apply an evaluateRoles() result to a Discord member in every configured guild.
+// Returns the roles that were actually added or removed, with the reason for each.
+async function updateUserRoles(userId, evaluation) {
+  console.log('Processing role update:', { userId });
+  const changes = [];
+
+  for (const guildResult of evaluation) {
     try {
-        console.log('Processing role update:', { userId, totalNFTs });
+      if (!guildResult.guildId) {
+        console.error('Role rules are missing a guild ID');
+        continue;
+      }
 
-        const guild = await client.guilds.fetch(GUILD_ID);
-        if (!guild) {
-            console.error('Guild not found:', GUILD_ID);
-            return;
-        }
+      const guild = await client.guilds.fetch(guildResult.guildId);
+      if (!guild) {
+        console.error('Guild not found:', guildResult.guildId);
+        continue;
+      }
 
-        const member = await guild.members.fetch(userId);
-        if (!member) {
-            console.error('Member not found:', userId);
-            return;
-        }
+      const member = await guild.members.fetch(userId);
+      if (!member) {
+        console.error('Member not found:', userId);
+        continue;
+      }
 
-        // Remove existing roles first
-        const rolesToRemove = [VERIFIED_ROLE_ID, ELITE_ROLE_ID];
-        await Promise.all(rolesToRemove.map(roleId => member.roles.remove(roleId).catch(err => {
-            console.error(`Failed to remove role ${roleId}:`, err);
-        })));
+      // Only touch roles whose state actually changes
+      for (const role of guildResult.roles) {
+        const hasRole = member.roles.cache.has(role.roleId);
 
-        // Add roles based on NFT count
-        if (totalNFTs >= 1) {
-            await member.roles.add(VERIFIED_ROLE_ID);
-            console.log(`Added verified role to ${member.user.tag}`);
-        }
-        
-        if (totalNFTs >= 10) {
-            await member.roles.add(ELITE_ROLE_ID);
-            console.log(`Added elite role to ${member.user.tag}`);
+        if (role.granted && !hasRole) {
+          await member.roles.add(role.roleId);
+          console.log(`Added ${role.name} role to ${member.user.tag}`);
+          changes.push(roleChange(guildResult.guildId, role, 'added'));
+        } else if (!role.granted && hasRole) {
+          try {
+            await member.roles.remove(role.roleId);
+            console.log(`Removed ${role.name} role from ${member.user.tag}`);
+            changes.push(roleChange(guildResult.guildId, role, 'removed'));
+          } catch (err) {
+            console.error(`Failed to remove role ${role.roleId}:`, err);
+          }
         }
+      }
 
-        // Log the successful role update
-        console.log(`Updated roles for ${member.user.tag}:`, {
-            totalNFTs,
-            verified: totalNFTs >= 1,
-            elite: totalNFTs >= 10
-        });
-
+      console.log(`Updated roles for ${member.user.tag}:`,
+        Object.fromEntries(guildResult.roles.map(role => [role.name, role.granted])));
     } catch (error) {
-        console.error('Role update error:', error);
+      console.error('Role update error:', error);
     }
+  }
+
+  return changes;
+}
+
+// Explain a role change using the checks that decided it
+function roleChange(guildId, role, action) {
+  const decisive = role.checks.filter(check => check.passed === (action === 'added'));
+
+  return {
+    guildId,
+    roleId: role.roleId,
+    roleName: role.name,
+    action,
+    reason: decisive.map(check => check.reason).join('; ')
+  };
 }
 
-app.get('/api/session/:sessionId', (req, res) => {
+app.get('/api/session/:sessionId', async (req, res, next) => {
   console.log('Fetching session:', req.params.sessionId);
   const { sessionId } = req.params;
-  const session = sessions.get(sessionId);
-  if (!session) {
-    console.error('Session not found:', sessionId);
-    return res.status(404).json({ error: 'Session not found' });
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      console.error('Session not found:', sessionId);
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (error) {
+    next(error);
   }
-  res.json(session);
 });
 
 async function updateSessionWithWallet(sessionId, address) {
-  const session = sessions.get(sessionId);
+  const session = await sessionStore.get(sessionId);
   if (!session) {
     throw new Error('Session not found');
   }
 
   // Update the session with the new wallet address
   session.wallets = session.wallets || [];
-  if (!session.wallets.includes(address)) {
+  if (!session.wallets.some(wallet => wallet.toLowerCase() === address.toLowerCase())) {
     session.wallets.push(address);
   }
 
   // Update the last activity timestamp
   session.lastActivity = Date.now();
 
-  // Save the updated session
-  sessions.set(sessionId, session);
+  // Save the updated session (this also refreshes its TTL)
+  await sessionStore.set(session);
+  await saveWalletLink(session);
+
+  return session;
+}
+
+// Keep the durable Discord -> wallets link in sync with the session
+async function saveWalletLink(session) {
+  if (!session.discordId) return;
+
+  if (session.wallets.length === 0) {
+    await walletLinks.remove(session.discordId);
+    return;
+  }
+
+  await walletLinks.save({
+    discordId: session.discordId,
+    username: session.username,
+    sessionId: session.id,
+    wallets: session.wallets
+  });
+}
+
+// Drop a wallet from a session and its durable link; null if it wasn't linked.
+// Pass `live: false` for a session rebuilt from the link, so an expired session
+// isn't brought back.
+async function removeWalletFromSession(session, address, { live = true } = {}) {
+  const wallets = session.wallets || [];
+  session.wallets = wallets.filter(wallet => wallet.toLowerCase() !== address.toLowerCase());
+  if (session.wallets.length === wallets.length) {
+    return null;
+  }
+
+  if (live) {
+    session.lastActivity = Date.now();
+    await sessionStore.set(session);
+  }
+  await saveWalletLink(session);
 
   return session;
 }
@@ -370,7 +617,7 @@ async function updateSessionWithWallet(sessionId, address) {
 app.get('/api/nft/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
   try {
-    const session = sessions.get(sessionId);
+    const session = await sessionStore.get(sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
@@ -390,16 +637,6 @@ const stakingContractAddress = '0xddbcc239527dedd5e0c761042ef02a7951cec315';
 const nftContract = new ethers.Contract(nftContractAddress, nftAbi, provider);
 const stakingContract = new ethers.Contract(stakingContractAddress, stakingAbi, provider);
 
-async function checkNFTHoldings(walletAddress) {
-  const balance = await nftContract.balanceOf(walletAddress);
-  return balance.gt(0);
-}
-
-async function checkStakedNFTs(walletAddress) {
-  const stakerInfo = await stakingContract.getStakerInfo(walletAddress);
-  return stakerInfo.stakedTokens.length > 0;
-}
-
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
@@ -411,65 +648,225 @@ client.once('ready', () => {
   console.log(`Logged in as ${client.user.tag}`);
 });
 
-async function assignDiscordRoles(sessionId, walletAddress, hasStakedNFTs) {
-  console.log('Assigning Discord roles for session:', sessionId, 'wallet:', walletAddress);
+// Announcement feed settings from ANNOUNCE_<FEED>_CHANNEL_ID, _THRESHOLD and _COOLDOWN_MINUTES
+function announcementFeed(name, defaults) {
+  const env = suffix => process.env[`ANNOUNCE_${name}_${suffix}`];
+  return {
+    channelId: env('CHANNEL_ID') || null,
+    threshold: parseFloat(env('THRESHOLD') ?? defaults.threshold),
+    cooldownMs: parseFloat(env('COOLDOWN_MINUTES') ?? defaults.cooldownMinutes) * 60 * 1000
+  };
+}
 
+// Floor moves (percent), large offers and loans (APE) and leaderboard moves (places)
+const announcements = createAnnouncements({
+  kv: kvStore,
+  feeds: {
+    floor: announcementFeed('FLOOR', { threshold: 5, cooldownMinutes: 60 }),
+    offers: announcementFeed('OFFERS', { threshold: 100, cooldownMinutes: 15 }),
+    loans: announcementFeed('LOANS', { threshold: 100, cooldownMinutes: 5 }),
+    ranks: announcementFeed('RANKS', { threshold: 10, cooldownMinutes: 360 })
+  },
+  collectionRegistry,
+  walletLinks,
+  sendEmbed: async (channelId, embed) => {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({ embeds: [embed] });
+  }
+});
+
+// Lookups the role rules engine can draw on
+const erc721Contracts = new Map();
+
+function getCollectionContract(collectionAddress) {
+  const key = collectionAddress.toLowerCase();
+  if (!erc721Contracts.has(key)) {
+    erc721Contracts.set(key, new ethers.Contract(key, nftAbi, provider));
+  }
+  return erc721Contracts.get(key);
+}
+
+const roleFactSources = {
+  stakingCollection: nftContractAddress,
+  get collections() {
+    return collectionRegistry.list({ activeOnly: true }).map(collection => collection.contractAddress);
+  },
+  heldCount: async (address, collection) => toSafeNumber(await getCollectionContract(collection).balanceOf(address)),
+  stakedCount: async address => (await stakingContract.getStakerInfo(address)).stakedTokens.length,
+  tier: async address => toSafeNumber(await stakingContract.getUserTier(address)),
+  points: async address => toSafeNumber(await stakingContract.getPoints(address)),
+  activeLoans: async address => (await lendingContract.getBorrowerLoans(address)).loans.length
+};
+
+// Global role rules plus the per-collection roles from the collections registry
+function getRoleRules() {
+  return mergeRoleRules(ROLE_RULES, buildCollectionRules(collectionRegistry.list({ activeOnly: true }), process.env.GUILD_ID));
+}
+
+// Evaluate the role rules for a set of wallets without touching Discord
+async function evaluateWalletRoles(walletAddresses) {
+  const rules = getRoleRules();
+  const facts = await gatherFacts(walletAddresses, rules, roleFactSources);
+
+  return {
+    facts,
+    holdings: collectionHoldings(collectionRegistry.list({ activeOnly: true }), facts),
+    evaluation: evaluateRoles(rules, facts)
+  };
+}
+
+// Recompute a session's roles from the combined holdings of all its linked wallets
+async function assignDiscordRoles(sessionId, source = 'verify') {
   try {
-    const session = sessions.get(sessionId);
+    const session = await sessionStore.get(sessionId);
     if (!session) {
       console.error('Session not found:', sessionId);
-      return;
+      return null;
     }
 
-    const guild = await client.guilds.fetch(process.env.GUILD_ID);
-    if (!guild) {
-      console.error('Guild not found:', process.env.GUILD_ID);
-      return;
-    }
+    const wallets = session.wallets || [];
+    console.log('Assigning Discord roles for session:', sessionId, 'wallets:', wallets);
+
+    const result = await evaluateWalletRoles(wallets);
+    const changes = await updateUserRoles(session.discordId, result.evaluation);
 
-    const member = await guild.members.fetch(session.discordId);
-    if (!member) {
-      console.error('Member not found:', session.discordId);
-      return;
+    for (const change of changes) {
+      await roleChangeLog.record({
+        ...change,
+        discordId: session.discordId,
+        username: session.username,
+        wallets,
+        source
+      });
     }
 
-    // Remove existing roles first
-    const rolesToRemove = ['1322623738168213575', '1322624148857557084'];
-    await Promise.all(rolesToRemove.map(roleId => member.roles.remove(roleId).catch(err => {
-      console.error(`Failed to remove role ${roleId}:`, err);
-    })));
+    return result;
+  } catch (error) {
+    console.error('Error assigning Discord roles:', error);
+    return null;
+  }
+}
 
-    // Calculate total NFTs
-    const totalNFTs = await fetchTotalNFTs(walletAddress);
+// Dry-run: which roles would this wallet get, and why
+app.get('/api/roles/evaluate/:address', requireScope('bot'), async (req, res) => {
+  const { address } = req.params;
 
-    // Add roles based on NFT count
-    if (totalNFTs >= 1) {
-      await member.roles.add('1322623738168213575');
-      console.log(`Added verified role to ${member.user.tag}`);
-    }
-    
-    if (totalNFTs >= 10) {
-      await member.roles.add('1322624148857557084');
-      console.log(`Added elite role to ${member.user.tag}`);
-    }
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  try {
+    const { facts, holdings, evaluation } = await evaluateWalletRoles([address]);
+    res.json({ address: ethers.utils.getAddress(address), facts, collections: holdings, guilds: evaluation });
+  } catch (error) {
+    console.error('Error evaluating roles:', error);
+    res.status(500).json({ error: 'Failed to evaluate roles' });
+  }
+});
 
-    console.log(`Updated roles for ${member.user.tag}:`, {
-      totalNFTs,
-      verified: totalNFTs >= 1,
-      elite: totalNFTs >= 10
+// Periodically re-check holdings and revoke roles from users who sold or unstaked
+const reverifyWorker = createReverifyWorker({
+  walletLinks,
+  evaluateWalletRoles,
+  updateUserRoles,
+  roleChangeLog,
+  batchSize: parseInt(process.env.REVERIFY_BATCH_SIZE, 10) || 10,
+  batchDelay: parseInt(process.env.REVERIFY_BATCH_DELAY_MS, 10) || 5000
+});
+
+// Role change history for moderators
+app.get('/api/role-changes', requireScope('bot'), async (req, res) => {
+  try {
+    const { discordId, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const changes = await roleChangeLog.list({ discordId, action, limit });
+    res.json({
+      data: changes,
+      reverification: reverifyWorker.status()
     });
+  } catch (error) {
+    console.error('Error fetching role changes:', error);
+    res.status(500).json({ error: 'Failed to fetch role changes' });
+  }
+});
+
+// Queue a role refresh for every linked user whose wallet saw on-chain activity
+async function queueRoleRefreshes(activity, range) {
+  const touched = new Set(activity.map(entry => entry.address));
+  const links = await walletLinks.list();
+
+  for (const link of links) {
+    if (!(link.wallets || []).some(wallet => touched.has(wallet.toLowerCase()))) continue;
+
+    console.log(`Queueing role refresh for ${link.discordId} (blocks ${range.fromBlock}-${range.toBlock})`);
+    await roleRefreshQueue.enqueue(
+      { discordId: link.discordId },
+      { idempotencyKey: `${link.discordId}:${range.fromBlock}-${range.toBlock}` }
+    );
+  }
+
+  processRoleRefreshes();
+}
+
+let processingRoleRefreshes = false;
 
+async function processRoleRefreshes() {
+  if (processingRoleRefreshes) return;
+  processingRoleRefreshes = true;
+
+  try {
+    let jobs = await roleRefreshQueue.claim({ limit: 10 });
+    while (jobs.length > 0) {
+      for (const job of jobs) {
+        try {
+          const link = await walletLinks.get(job.payload.discordId);
+          if (link) {
+            await reverifyWorker.reverifyLink(link, 'chain-event');
+          }
+          await roleRefreshQueue.ack(job.id, job.leaseId);
+        } catch (error) {
+          console.error(`Error refreshing roles for ${job.payload.discordId}:`, error);
+          await roleRefreshQueue.fail(job.id, job.leaseId, error.message);
+        }
+      }
+      jobs = await roleRefreshQueue.claim({ limit: 10 });
+    }
   } catch (error) {
-    console.error('Error assigning Discord roles:', error);
+    console.error('Error processing role refreshes:', error);
+  } finally {
+    processingRoleRefreshes = false;
   }
 }
 
+// Watch Transfers on tracked collections and staking activity for linked wallets
+const chainWatcher = createChainWatcher({
+  provider,
+  kv: kvStore,
+  getCollections: () => collectionRegistry.list({ activeOnly: true }).map(collection => collection.contractAddress),
+  stakingAddress: stakingContractAddress,
+  onActivity: queueRoleRefreshes,
+  maxBlockRange: parseInt(process.env.CHAIN_WATCH_BLOCK_RANGE, 10) || 2000
+});
+
 client.login(process.env.DISCORD_TOKEN);
 
-app.get('/api/discord/:sessionId/wallets', (req, res) => {
+// Re-verify linked users every hour by default
+setInterval(reverifyWorker.run, (parseInt(process.env.REVERIFY_INTERVAL_MINUTES, 10) || 60) * 60 * 1000);
+
+// Poll for new chain events every 30 seconds
+setInterval(chainWatcher.poll, (parseInt(process.env.CHAIN_WATCH_INTERVAL_SECONDS, 10) || 30) * 1000);
+
+// Pick up role refreshes that are due for a retry or were left behind by a restart
+setInterval(processRoleRefreshes, 60 * 1000);
+
+// Initial poll (also catches up on blocks missed while we were down)
+chainWatcher.poll();
+
+app.get('/api/discord/:sessionId/wallets', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const wallets = getWalletsForSession(sessionId);
+    const wallets = await getWalletsForSession(sessionId);
     if (!wallets) {
       return res.status(404).json({ error: 'Wallets not found for session' });
     }
@@ -480,9 +877,109 @@ app.get('/api/discord/:sessionId/wallets', (req, res) => {
   }
 });
 
-function getWalletsForSession(sessionId) {
-  // Example logic to retrieve wallets for a session
-  const session = sessions.get(sessionId);
+// Unlink a wallet and recompute roles from the wallets that remain. The wallet must sign
+// an unlink challenge (GET /nonce?purpose=unlink): the session ID alone proves nothing.
+app.delete('/api/discord/:sessionId/wallets/:address', async (req, res) => {
+  const { sessionId, address } = req.params;
+  const { message, signature } = req.body || {};
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+
+  if (!message || !signature) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const existing = await sessionStore.get(sessionId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const challengeError = await verifyWalletChallenge(sessionId, address, message, signature, 'unlink');
+    if (challengeError) {
+      return res.status(401).json({ error: challengeError });
+    }
+
+    const session = await removeWalletFromSession(existing, address);
+    if (!session) {
+      return res.status(404).json({ error: 'Wallet not linked to session' });
+    }
+
+    const result = await assignDiscordRoles(sessionId, 'unlink');
+    if (!result) {
+      return res.status(500).json({ error: 'Wallet unlinked but roles could not be updated' });
+    }
+
+    res.json({
+      success: true,
+      wallets: session.wallets,
+      collections: result.holdings,
+      roles: result.evaluation
+    });
+  } catch (error) {
+    console.error('Error unlinking wallet:', error);
+    res.status(500).json({ error: 'Failed to unlink wallet' });
+  }
+});
+
+// Opt in or out of showing the Discord username on the leaderboard
+app.post('/api/discord/:sessionId/leaderboard-opt-in', async (req, res) => {
+  const { sessionId } = req.params;
+  const { optIn } = req.body;
+
+  if (typeof optIn !== 'boolean') {
+    return res.status(400).json({ error: 'optIn must be true or false' });
+  }
+
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const link = await walletLinks.setLeaderboardOptIn(session.discordId, optIn);
+    if (!link) {
+      return res.status(404).json({ error: 'No wallets linked to this Discord account' });
+    }
+
+    res.json({ success: true, leaderboardOptIn: link.leaderboardOptIn });
+  } catch (error) {
+    console.error('Error updating leaderboard opt-in:', error);
+    res.status(500).json({ error: 'Failed to update leaderboard opt-in' });
+  }
+});
+
+// Turn loan due-date reminders and lender updates on or off
+app.post('/api/discord/:sessionId/loan-notifications', async (req, res) => {
+  const { sessionId } = req.params;
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+
+  try {
+    const session = await sessionStore.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const link = await walletLinks.setLoanNotifications(session.discordId, enabled);
+    if (!link) {
+      return res.status(404).json({ error: 'No wallets linked to this Discord account' });
+    }
+
+    res.json({ success: true, loanNotifications: link.loanNotifications });
+  } catch (error) {
+    console.error('Error updating loan notifications:', error);
+    res.status(500).json({ error: 'Failed to update loan notifications' });
+  }
+});
+
+async function getWalletsForSession(sessionId) {
+  const session = await sessionStore.get(sessionId);
   if (!session) {
     return null;
   }
@@ -499,85 +996,65 @@ async function fetchStakedNFTs(walletAddress) {
   }
 }
 
-const contractAddress = '0xddbcc239527dedd5e0c761042ef02a7951cec315';
-const contractABI = [
-  {
-    "inputs": [{ "internalType": "address", "name": "_user", "type": "address" }],
-    "name": "getPoints",
-    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
 const leaderboardCache = {
   data: [],
   lastUpdated: null
 };
 
-// Middleware to check API key
-function checkApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey && apiKey === process.env.BOT_API_KEY) {
-    next();
-  } else {
-    res.status(403).json({ error: 'Forbidden: Invalid API Key' });
-  }
-}
-
-app.get('/api/leaderboard', checkApiKey, (req, res) => {
-  res.json({
-    data: leaderboardCache.data,
-    lastUpdated: leaderboardCache.lastUpdated
-  });
+app.set('leaderboardCache', leaderboardCache);
+app.set('stakingContract', stakingContract);
+
+// Import and use leaderboard routes
+const leaderboardRoutes = require('./routes/leaderboard');
+app.use('/api', leaderboardRoutes);
+
+// Index staking activity incrementally instead of rescanning from the deploy block
+const leaderboardIndexer = createLeaderboardIndexer({
+  provider,
+  kv: kvStore,
+  stakingContract,
+  cache: leaderboardCache,
+  startBlock: 6970654,
+  maxBlockRange: parseInt(process.env.LEADERBOARD_BLOCK_RANGE, 10) || 5000,
+  multicallAddress: process.env.MULTICALL_ADDRESS || undefined
 });
 
 async function updateLeaderboardCache() {
-  try {
-    const contract = new ethers.Contract(contractAddress, contractABI, provider);
-    const startBlock = 6970654;
-    const endBlock = await provider.getBlockNumber();
-    const filter = {
-      address: contractAddress,
-      fromBlock: startBlock,
-      toBlock: endBlock
-    };
-
-    const logs = await provider.getLogs(filter);
-    const addresses = new Set();
-
-    logs.forEach(log => {
-      if (log.topics.length > 1) {
-        const address = ethers.utils.getAddress(`0x${log.topics[1].slice(26)}`);
-        if (address !== '0x0000000000000000000000000000000000000000') {
-          addresses.add(address);
-        }
-      }
-    });
-
-    const leaderboardData = [];
-    for (const address of addresses) {
-      try {
-        const points = await contract.getPoints(address);
-        leaderboardData.push({ address, points: points.toNumber() });
-      } catch (error) {
-        console.error(`Error fetching points for address ${address}:`, error);
-      }
-    }
-
-    leaderboardCache.data = leaderboardData.sort((a, b) => b.points - a.points);
-    leaderboardCache.lastUpdated = new Date();
-    console.log('Leaderboard cache updated');
-  } catch (error) {
-    console.error('Error updating leaderboard cache:', error);
-  }
+  await leaderboardIndexer.update();
+  await announcements.leaderboardUpdated(leaderboardCache.data)
+    .catch(error => console.error('Error announcing leaderboard moves:', error));
 }
 
-// Update leaderboard cache every 24 hours
-setInterval(updateLeaderboardCache, 24 * 60 * 60 * 1000);
+// Update leaderboard cache every 5 minutes
+setInterval(updateLeaderboardCache, (parseInt(process.env.LEADERBOARD_INTERVAL_MINUTES, 10) || 5) * 60 * 1000);
+
+// Serve the persisted leaderboard right away, then catch up
+leaderboardIndexer.load()
+  .catch(error => console.error('Error loading leaderboard:', error))
+  .then(updateLeaderboardCache);
+
+// Leaderboard snapshots, taken on PointsSnapshotTaken events and on a schedule
+const leaderboardSnapshots = createLeaderboardSnapshots({
+  kv: kvStore,
+  cache: leaderboardCache,
+  logScanner: lendingLogScanner,
+  refresh: updateLeaderboardCache,
+  maxSnapshots: parseInt(process.env.LEADERBOARD_SNAPSHOT_RETENTION, 10) || 200
+});
+app.set('leaderboardSnapshots', leaderboardSnapshots);
+
+// Scheduled snapshots every 24 hours by default (set to 0 to only snapshot on events)
+const snapshotIntervalHours = parseFloat(process.env.LEADERBOARD_SNAPSHOT_INTERVAL_HOURS ?? '24');
+if (snapshotIntervalHours > 0) {
+  setInterval(() => {
+    leaderboardSnapshots.take({ trigger: 'scheduled' })
+      .catch(error => console.error('Error taking leaderboard snapshot:', error));
+  }, snapshotIntervalHours * 60 * 60 * 1000);
+}
 
-// Initial cache update
-updateLeaderboardCache();
+// A price that hasn't been refreshed for this long is reported as stale (default: three
+// missed refreshes)
+const FLOOR_PRICE_MAX_AGE = (parseInt(process.env.FLOOR_PRICE_MAX_AGE_MINUTES, 10) || 90) * 60 * 1000;
 
 // Initialize floor price cache
 const floorPriceCache = {
@@ -586,12 +1063,10 @@ const floorPriceCache = {
 };
 
 // API endpoint to get collection details
-app.get('/api/collection/:address', checkApiKey, (req, res) => {
+app.get('/api/collection/:address', requireScope('bot'), (req, res) => {
   const requestedAddress = req.params.address.toLowerCase();
   
-  const collection = TRACKED_COLLECTIONS.find(
-    c => c.contractAddress.toLowerCase() === requestedAddress
-  );
+  const collection = collectionRegistry.get(requestedAddress);
 
   if (!collection) {
     return res.status(404).json({ error: 'Collection not found' });
@@ -613,49 +1088,96 @@ app.get('/api/collection/:address', checkApiKey, (req, res) => {
     floorPrice: floorPriceData.floorPrice,
     floorPriceUSD: floorPriceData.floorPriceUSD,
     currency: floorPriceData.currency,
+    source: floorPriceData.source,
+    stale: floorPriceData.stale,
     lastUpdated: floorPriceData.lastUpdated
   });
 });
 
+// Floor price sources, tried in FLOOR_PRICE_PROVIDERS order (a manual override always wins)
+const manualPriceProvider = createManualProvider(kvStore);
+const priceProviders = {
+  manual: manualPriceProvider,
+  magiceden: createMagicEdenProvider({
+    apiKey: process.env.MAGICEDEN_API_KEY,
+    baseUrl: process.env.MAGICEDEN_API_URL || undefined,
+    timeout: parseInt(process.env.MAGICEDEN_TIMEOUT_MS, 10) || undefined
+  })
+};
+
+const floorPriceService = createFloorPriceService({
+  providers: (process.env.FLOOR_PRICE_PROVIDERS || 'manual,magiceden')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+      if (!priceProviders[name]) console.warn(`Unknown floor price provider: ${name}`);
+      return !!priceProviders[name];
+    })
+    .map(name => priceProviders[name]),
+  maxDeviation: parseFloat(process.env.FLOOR_PRICE_MAX_DEVIATION) || undefined,
+  // The best open loan offer is an on-chain sanity check: the floor rarely sits below it
+  referencePrice: async collection => {
+    const stats = poolStatsCache.data[collection.contractAddress.toLowerCase()];
+    return stats ? Number(stats.bestOffer) : null;
+  }
+});
+
+// Every refreshed price is kept so we can chart trends
+const floorPriceHistory = createFloorPriceHistory(kvStore);
+app.set('floorPriceHistory', floorPriceHistory);
+
+async function refreshFloorPrice(collection) {
+  const { price, sources } = await floorPriceService.getFloorPrice(collection);
+  const existing = floorPriceCache.data[collection.contractAddress];
+
+  if (!price) {
+    // Keep serving the last known price; it turns stale once it's too old
+    console.error(`No floor price for ${collection.name}:`, sources);
+    return existing || null;
+  }
+
+  const floorPriceData = {
+    id: collection.id,
+    floorPrice: price.floorPrice,
+    floorPriceUSD: price.floorPriceUSD,
+    lastUpdated: new Date(),
+    name: collection.name,
+    symbol: collection.magicEdenSymbol,
+    currency: price.currency,
+    source: price.source,
+    get stale() {
+      return Date.now() - this.lastUpdated.getTime() > FLOOR_PRICE_MAX_AGE;
+    },
+    disputed: price.disputed,
+    belowBestOffer: price.belowReference,
+    sources
+  };
+
+  // Store by both ID and contract address for flexible lookups
+  floorPriceCache.data[collection.id] = floorPriceData;
+  floorPriceCache.data[collection.contractAddress] = floorPriceData;
+  await floorPriceHistory.record(collection.contractAddress, {
+    floorPrice: price.floorPrice,
+    source: price.source,
+    timestamp: floorPriceData.lastUpdated.getTime()
+  });
+
+  await announcements.floorUpdated(collection, floorPriceData)
+    .catch(error => console.error(`Error announcing floor move for ${collection.name}:`, error));
+
+  if (price.disputed) console.warn(`Floor price sources disagree for ${collection.name}:`, sources);
+  if (price.belowReference) console.warn(`Floor price for ${collection.name} is below its best loan offer`);
+  console.log(`Updated floor price for ${collection.name} from ${price.source}: ${floorPriceData.floorPrice} ${floorPriceData.currency.symbol} ($${floorPriceData.floorPriceUSD})`);
+  return floorPriceData;
+}
+
 async function updateFloorPriceCache() {
   try {
     console.log('Updating floor price cache...');
     
-    for (const collection of TRACKED_COLLECTIONS) {
+    for (const collection of collectionRegistry.list({ activeOnly: true })) {
       try {
-        const response = await fetch(
-          `https://api-mainnet.magiceden.dev/v3/rtp/apechain/collections/v7?contract=${collection.contractAddress}&sortBy=allTimeVolume`,
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.MAGICEDEN_API_KEY}`
-            }
-          }
-        );
-        
-        const data = await response.json();
-        const collectionData = data.collections?.[0];
-        
-        if (collectionData?.floorAsk?.price?.amount?.decimal) {
-          const floorPriceData = {
-            id: collection.id,
-            floorPrice: collectionData.floorAsk.price.amount.decimal,
-            floorPriceUSD: collectionData.floorAsk.price.amount.usd,
-            lastUpdated: new Date(),
-            name: collection.name,
-            symbol: collection.magicEdenSymbol,
-            currency: {
-              name: collectionData.floorAsk.price.currency.name,
-              symbol: collectionData.floorAsk.price.currency.symbol,
-              decimals: collectionData.floorAsk.price.currency.decimals
-            }
-          };
-          
-          // Store by both ID and contract address for flexible lookups
-          floorPriceCache.data[collection.id] = floorPriceData;
-          floorPriceCache.data[collection.contractAddress] = floorPriceData;
-          
-          console.log(`Updated floor price for ${collection.name}: ${floorPriceData.floorPrice} ${floorPriceData.currency.symbol} ($${floorPriceData.floorPriceUSD})`);
-        }
+        await refreshFloorPrice(collection);
         
         // Add delay between requests to respect rate limits
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -671,8 +1193,57 @@ async function updateFloorPriceCache() {
   }
 }
 
+// Set or clear a manual floor price for a tracked collection
+app.put('/api/floor-price/:address/override', requireScope('admin'), async (req, res) => {
+  try {
+    const collection = collectionRegistry.get(req.params.address);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const floorPrice = Number(req.body.floorPrice);
+    if (!Number.isFinite(floorPrice) || floorPrice <= 0) {
+      return res.status(400).json({ error: 'floorPrice must be a positive number' });
+    }
+
+    const floorPriceUSD = req.body.floorPriceUSD ?? null;
+    if (floorPriceUSD !== null && (typeof floorPriceUSD !== 'number' || !Number.isFinite(floorPriceUSD) || floorPriceUSD < 0)) {
+      return res.status(400).json({ error: 'floorPriceUSD must be a number of at least 0' });
+    }
+
+    const override = await manualPriceProvider.setOverride(collection.contractAddress, {
+      floorPrice,
+      floorPriceUSD,
+      note: req.body.note || null
+    });
+    const floorPriceData = await refreshFloorPrice(collection);
+
+    res.json({ success: true, override, data: floorPriceData });
+  } catch (error) {
+    console.error('Error setting floor price override:', error);
+    res.status(500).json({ error: 'Failed to set floor price override' });
+  }
+});
+
+app.delete('/api/floor-price/:address/override', requireScope('admin'), async (req, res) => {
+  try {
+    const collection = collectionRegistry.get(req.params.address);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    await manualPriceProvider.clearOverride(collection.contractAddress);
+    const floorPriceData = await refreshFloorPrice(collection);
+
+    res.json({ success: true, data: floorPriceData });
+  } catch (error) {
+    console.error('Error clearing floor price override:', error);
+    res.status(500).json({ error: 'Failed to clear floor price override' });
+  }
+});
+
 // API endpoint to get floor prices
-app.get('/api/floor-prices', checkApiKey, (req, res) => {
+app.get('/api/floor-prices', requireScope('bot'), (req, res) => {
   res.json({
     data: floorPriceCache.data,
     lastUpdated: floorPriceCache.lastUpdated
@@ -691,57 +1262,73 @@ const poolStatsCache = {
   lastUpdated: null
 };
 
-// Update the pool stats cache function
+// Offers and loans indexed from the lending contract's events
+const lendingIndexer = createLendingIndexer({
+  provider,
+  kv: kvStore,
+  lendingContract,
+  startBlock: parseInt(process.env.LENDING_START_BLOCK, 10) || 6970654,
+  reorgDepth: parseInt(process.env.LENDING_REORG_DEPTH, 10) || 20,
+  // Separate catches so a failed DM never holds back the announcement, or vice versa
+  onEvent: async (...args) => {
+    await loanNotifier.handleLoanEvent(...args)
+      .catch(error => console.error('Error sending loan notification:', error));
+    await announcements.lendingEvent(...args)
+      .catch(error => console.error('Error posting lending announcement:', error));
+  }
+});
+app.set('lendingIndexer', lendingIndexer);
+app.set('lendingContract', lendingContract);
+
+// Loan reminders for borrowers and repay/default updates for lenders, by DM
+const loanNotifier = createLoanNotifier({
+  lendingIndexer,
+  walletLinks,
+  kv: kvStore,
+  sendDirectMessage: async (discordId, content) => {
+    const user = await client.users.fetch(discordId);
+    await user.send(content);
+  },
+  reminderOffsets: (process.env.LOAN_REMINDER_OFFSETS_HOURS || '72,24,1')
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0)
+});
+
+// Check for loans nearing their due date every 10 minutes by default
+setInterval(loanNotifier.checkDueDates, (parseInt(process.env.LOAN_REMINDER_INTERVAL_MINUTES, 10) || 10) * 60 * 1000);
+
+// Offer, loan and repayment quote endpoints, served from the index
+const lendingRoutes = require('./routes/lending');
+app.use('/api', lendingRoutes);
+
+// Pool stats come from the indexed offers: open collection-wide offers per collection
+// that is active on the lending contract
 async function updatePoolStatsCache() {
   try {
     console.log('Updating pool stats cache...');
-    
-    // Log the contract address and ABI
-    console.log('Lending Contract Address:', lendingContract.address);
-    console.log('Lending Contract ABI:', lendingContract.interface.fragments);
+    await lendingIndexer.poll();
 
-    const collections = await lendingContract.getAllCollectionAddresses();
+    const offers = await lendingIndexer.offers();
+    const collections = collectionRegistry.list()
+      .filter(collection => collection.lendingActive)
+      .map(collection => collection.contractAddress);
     
     for (const collectionAddress of collections) {
       try {
-        const collectionData = await lendingContract.collections(collectionAddress);
-        
-        if (!collectionData.isActive) continue;
-
         let bestOffer = ethers.BigNumber.from(0);
         let totalPool = ethers.BigNumber.from(0);
-        
-        // Check if the filter function exists
-        if (typeof lendingContract.filters.CollectionOfferCreated !== 'function') {
-          console.error('CollectionOfferCreated filter not found in contract');
-          continue;
-        }
 
-        const filter = lendingContract.filters.CollectionOfferCreated(
-          null, // offerId (any)
-          null, // lender (any)
-          collectionAddress // specific collection
-        );
-        
-        const currentBlock = await provider.getBlockNumber();
-        const fromBlock = currentBlock - 172800; // Approximately 30 days of blocks
-        const events = await lendingContract.queryFilter(filter, fromBlock, 'latest');
-        
-        for (const event of events) {
-          const offerId = event.args.offerId;
-          try {
-            const offer = await lendingContract.loanOffers(offerId);
-            
-            if (offer.status === 0) { // PENDING status
-              totalPool = totalPool.add(offer.loanAmount);
-              if (offer.loanAmount.gt(bestOffer)) {
-                bestOffer = offer.loanAmount;
-              }
+        offers
+          .filter(offer => offer.status === 'pending' && offer.isCollectionWide &&
+            offer.nftContract === collectionAddress.toLowerCase())
+          .forEach(offer => {
+            const amount = ethers.BigNumber.from(offer.loanAmount);
+            totalPool = totalPool.add(amount);
+            if (amount.gt(bestOffer)) {
+              bestOffer = amount;
             }
-          } catch (error) {
-            console.error(`Error processing offer ${offerId}:`, error);
-          }
-        }
+          });
 
         poolStatsCache.data[collectionAddress.toLowerCase()] = {
           availablePool: ethers.utils.formatEther(totalPool),
@@ -767,14 +1354,9 @@ async function updatePoolStatsCache() {
 }
 
 // Add a new endpoint to get stats for a specific collection
-app.get('/api/pool-stats/:collectionAddress', async (req, res) => {
+app.get('/api/pool-stats/:collectionAddress', requireScope('frontend:read'), async (req, res) => {
   try {
     const { collectionAddress } = req.params;
-    
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey || apiKey !== process.env.FRONTEND_API_KEY) {
-      return res.status(403).json({ error: 'Invalid API key' });
-    }
 
     const stats = poolStatsCache.data[collectionAddress.toLowerCase()];
     
@@ -795,22 +1377,126 @@ app.get('/api/pool-stats/:collectionAddress', async (req, res) => {
   }
 });
 
+// LTV and risk metrics combine floor prices with pool stats and indexed loans
+app.set('floorPriceCache', floorPriceCache);
+app.set('poolStatsCache', poolStatsCache);
+
+const riskRoutes = require('./routes/risk');
+app.use('/api', riskRoutes);
+
+// Wallet valuation at floor prices, net of loan debt
+const portfolioService = createPortfolioService({
+  kv: kvStore,
+  collectionRegistry,
+  floorPriceCache,
+  getCollectionContract,
+  stakingContract,
+  stakingCollection: nftContractAddress,
+  lendingContract,
+  lendingIndexer
+});
+app.set('portfolioService', portfolioService);
+
+const portfolioRoutes = require('./routes/portfolio');
+app.use('/api', portfolioRoutes);
+
+// Protocol analytics, sampled from the lending contract and index
+const protocolStats = createProtocolStats({
+  kv: kvStore,
+  provider,
+  lendingContract,
+  lendingIndexer,
+  logScanner: lendingLogScanner
+});
+app.set('protocolStats', protocolStats);
+
+// Admin and emergency events, with critical ones posted to ADMIN_ALERT_CHANNEL_ID
+const adminMonitor = createAdminMonitor({
+  kv: kvStore,
+  lendingContract,
+  logScanner: lendingLogScanner,
+  sendAlert: async event => {
+    console.warn('ADMIN_ALERT', event.description, event.transactionHash);
+    if (!process.env.ADMIN_ALERT_CHANNEL_ID) return;
+
+    const channel = await client.channels.fetch(process.env.ADMIN_ALERT_CHANNEL_ID);
+    await channel.send(`🚨 **${event.name}** on the lending contract: ${event.description} (block ${event.blockNumber}, tx ${event.transactionHash})`);
+  }
+});
+app.set('adminMonitor', adminMonitor);
+
+// Scan for admin, MetricsSnapshotTaken and PointsSnapshotTaken events every minute by default
+setInterval(lendingLogScanner.poll, (parseInt(process.env.ADMIN_MONITOR_INTERVAL_SECONDS, 10) || 60) * 1000);
+lendingLogScanner.poll();
+
+setInterval(() => {
+  adminMonitor.refreshState()
+    .catch(error => console.error('Error refreshing lending contract state:', error));
+}, (parseInt(process.env.ADMIN_MONITOR_INTERVAL_SECONDS, 10) || 60) * 1000);
+
+const protocolRoutes = require('./routes/protocol');
+app.use('/api', protocolRoutes);
+
+// Unlink a wallet by Discord ID, for users without a live session, and recompute roles
+async function unlinkWallet(discordId, address) {
+  const link = await walletLinks.get(discordId);
+  if (!link) return null;
+
+  const session = await sessionStore.getByDiscordId(discordId);
+  const removed = session
+    ? await removeWalletFromSession(session, address)
+    : await removeWalletFromSession({ id: link.sessionId, discordId, username: link.username, wallets: link.wallets }, address, { live: false });
+  if (!removed) return null;
+
+  const updated = { ...link, wallets: removed.wallets };
+  await reverifyWorker.reverifyLink(updated, 'unlink');
+  return updated;
+}
+
+const slashCommands = createSlashCommands({
+  walletLinks,
+  startVerification: async (discordId, username) => {
+    const session = await startDiscordSession(crypto.randomUUID(), discordId, username);
+    return verifyPageLink(session.id);
+  },
+  unlinkWallet,
+  leaderboardCache,
+  collectionRegistry,
+  floorPriceCache,
+  floorPriceHistory,
+  portfolioService,
+  lendingIndexer
+});
+
+client.on('interactionCreate', slashCommands.handle);
+
+// Register in DISCORD_COMMAND_GUILD_ID only when set (instant, for testing), otherwise globally
+client.once('ready', async () => {
+  try {
+    const guildId = process.env.DISCORD_COMMAND_GUILD_ID;
+    await client.application.commands.set(slashCommandDefinitions, guildId);
+    console.log(`Registered ${slashCommandDefinitions.length} slash commands${guildId ? ` in guild ${guildId}` : ''}`);
+  } catch (error) {
+    console.error('Error registering slash commands:', error);
+  }
+});
+
+// Sample every 15 minutes by default; MetricsSnapshotTaken events come from the log scanner
+setInterval(protocolStats.sample, (parseInt(process.env.PROTOCOL_STATS_INTERVAL_MINUTES, 10) || 15) * 60 * 1000);
+
 // Update cache more frequently (every 2 minutes)
 setInterval(updatePoolStatsCache, 2 * 60 * 1000);
 
-// Initial cache update
-updatePoolStatsCache();
+// Initial cache update, then a first stats sample once the index has caught up
+updatePoolStatsCache().then(protocolStats.sample);
+
+const floorPriceRoutes = require('./routes/floorPrices');
+app.use('/api', floorPriceRoutes);
 
 // Floor price endpoint
-app.get('/api/floor-price/:address', async (req, res) => {
+app.get('/api/floor-price/:address', requireScope('frontend:read'), async (req, res) => {
   try {
     const { address } = req.params;
-    
-    // Validate API key
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey || apiKey !== process.env.FRONTEND_API_KEY) {
-      return res.status(403).json({ error: 'Invalid API key' });
-    }
 
     // Get floor price from cache
     const floorPriceData = floorPriceCache.data[address.toLowerCase()];
@@ -826,6 +1512,8 @@ app.get('/api/floor-price/:address', async (req, res) => {
           floorPrice: floorPriceData.floorPrice,
           floorPriceUSD: floorPriceData.floorPriceUSD,
           currency: floorPriceData.currency,
+          source: floorPriceData.source,
+          stale: floorPriceData.stale,
           lastUpdated: floorPriceData.lastUpdated
         }
       }
@@ -837,3 +1525,17 @@ app.get('/api/floor-price/:address', async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch floor price' });
   }
 });
+
+// Error handling middleware, registered after every route so their next(error) reaches it
+app.use((err, req, res, next) => {
+  console.log('ERROR', 'Unhandled error occurred', {
+    error: err.message,
+    stack: err.stack,
+    path: req.path,
+    method: req.method
+  });
+  res.status(500).json({
+    error: err.message,
+    status: 'error'
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { createAnnouncements } = require('../lib/announcements');
+const { createMemoryKeyValueStore } = require('../lib/kvStore');
+
+const COLLECTION = '0x485242262f1e367144fe432ba858f9ef6f491334';
+const OTHER_COLLECTION = '0xddbcc239527dedd5e0c761042ef02a7951cec315';
+
+function loan(offerId, nftContract = COLLECTION) {
+  return {
+    offerId: String(offerId),
+    nftContract,
+    tokenId: '1',
+    loanAmount: ethers.utils.parseEther('500').toString(),
+    lender: '0x1111111111111111111111111111111111111111',
+    borrower: '0x2222222222222222222222222222222222222222',
+    dueDate: 1800000000
+  };
+}
+
+describe('loan announcements', () => {
+  let sent;
+  let announcements;
+
+  beforeEach(() => {
+    sent = [];
+    announcements = createAnnouncements({
+      kv: createMemoryKeyValueStore(),
+      feeds: { loans: { channelId: 'loans-channel', threshold: 100, cooldownMs: 5 * 60 * 1000 } },
+      collectionRegistry: { get: () => ({ name: 'Test Apes' }) },
+      walletLinks: { list: async () => [] },
+      sendEmbed: async (channelId, embed) => sent.push({ channelId, embed })
+    });
+  });
+
+  test('two loans on one collection inside the cooldown post once', async () => {
+    await announcements.lendingEvent('LoanAccepted', loan(1));
+    await announcements.lendingEvent('LoanRepaid', loan(2));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].embed.footer.text, 'Loan #1');
+  });
+
+  test('loans on different collections each post', async () => {
+    await announcements.lendingEvent('LoanAccepted', loan(1));
+    await announcements.lendingEvent('LoanAccepted', loan(2, OTHER_COLLECTION));
+
+    assert.strictEqual(sent.length, 2);
+  });
+
+  test('a failed post does not start the cooldown', async () => {
+    let failures = 1;
+    announcements = createAnnouncements({
+      kv: createMemoryKeyValueStore(),
+      feeds: { loans: { channelId: 'loans-channel', threshold: 100, cooldownMs: 5 * 60 * 1000 } },
+      collectionRegistry: { get: () => null },
+      walletLinks: { list: async () => [] },
+      sendEmbed: async (channelId, embed) => {
+        if (failures-- > 0) throw new Error('Discord is down');
+        sent.push({ channelId, embed });
+      }
+    });
+
+    await announcements.lendingEvent('LoanAccepted', loan(1));
+    await announcements.lendingEvent('LoanDefaulted', loan(2));
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].embed.footer.text, 'Loan #2');
+  });
+});
@@ -0,0 +1,164 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const express = require('express');
+const { createDiscordOAuth } = require('../lib/discordOAuth');
+const { createMemoryKeyValueStore } = require('../lib/kvStore');
+const { createMemorySessionStore } = require('../lib/sessionStore');
+const discordOAuthRoutes = require('../routes/discordOAuth');
+
+const DISCORD_USER = { id: '123456789012345678', username: 'apefan' };
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+// Local stand-in for Discord's token and user endpoints, answering as each test says
+describe('Discord OAuth login against a stub Discord', () => {
+  let discord;
+  let api;
+  let sessionStore;
+  let tokenStatus;
+  let userStatus;
+
+  before(async () => {
+    discord = http.createServer((req, res) => {
+      if (req.method === 'POST' && req.url === '/oauth2/token') {
+        res.writeHead(tokenStatus, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(tokenStatus === 200 ? { access_token: 'stub-token', token_type: 'Bearer' } : { error: 'invalid_grant' }));
+        return;
+      }
+      if (req.method === 'GET' && req.url === '/users/@me') {
+        const authorized = req.headers.authorization === 'Bearer stub-token';
+        res.writeHead(authorized ? userStatus : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(authorized && userStatus === 200 ? DISCORD_USER : { message: 'nope' }));
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    const discordUrl = await listen(discord);
+
+    sessionStore = createMemorySessionStore();
+    const app = express();
+    app.set('discordOAuth', createDiscordOAuth({
+      kv: createMemoryKeyValueStore(),
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      redirectUri: 'http://localhost/api/discord/oauth/callback',
+      authorizeUrl: `${discordUrl}/oauth2/authorize`,
+      apiUrl: discordUrl
+    }));
+    app.set('startDiscordSession', (sessionId, discordId, username) =>
+      sessionStore.set({ id: sessionId, discordId, username, isDiscordConnected: true, wallets: [] }));
+    app.set('verifyPageLink', sessionId => `https://example.test/verify.html?session=${sessionId}`);
+    app.use('/api', discordOAuthRoutes);
+
+    api = http.createServer(app);
+    api.baseUrl = await listen(api);
+  });
+
+  after(() => {
+    discord.closeAllConnections();
+    discord.close();
+    api.closeAllConnections();
+    api.close();
+  });
+
+  beforeEach(() => {
+    tokenStatus = 200;
+    userStatus = 200;
+  });
+
+  // Start a login like a browser would: the state from Discord's URL and the cookie set with it
+  async function startLogin() {
+    const response = await fetch(`${api.baseUrl}/api/discord/oauth/login`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302);
+
+    const state = new URL(response.headers.get('location')).searchParams.get('state');
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    return { state, cookie };
+  }
+
+  function callback({ state, cookie, code = 'stub-code' }) {
+    const params = new URLSearchParams({ code, state });
+    return fetch(`${api.baseUrl}/api/discord/oauth/callback?${params}`, {
+      headers: cookie ? { Cookie: cookie } : {},
+      redirect: 'manual'
+    });
+  }
+
+  test('login sets an HttpOnly, SameSite state cookie', async () => {
+    const response = await fetch(`${api.baseUrl}/api/discord/oauth/login`, { redirect: 'manual' });
+    const setCookie = response.headers.get('set-cookie');
+
+    assert.match(setCookie, /^discord_oauth_state=[0-9a-f]+;/);
+    assert.match(setCookie, /HttpOnly/);
+    assert.match(setCookie, /SameSite=Lax/);
+  });
+
+  test('a successful callback creates the session and redirects to the verify page', async () => {
+    const login = await startLogin();
+    const response = await callback(login);
+
+    assert.strictEqual(response.status, 302);
+    const session = await sessionStore.getByDiscordId(DISCORD_USER.id);
+    assert.ok(session);
+    assert.strictEqual(session.username, DISCORD_USER.username);
+    assert.strictEqual(response.headers.get('location'), `https://example.test/verify.html?session=${session.id}`);
+  });
+
+  test('a failed token exchange is reported as a bad gateway', async () => {
+    tokenStatus = 400;
+    const response = await callback(await startLogin());
+
+    assert.strictEqual(response.status, 502);
+    assert.deepStrictEqual(await response.json(), { error: 'Failed to complete Discord login' });
+  });
+
+  test('a failed user lookup is reported as a bad gateway', async () => {
+    userStatus = 500;
+    const response = await callback(await startLogin());
+
+    assert.strictEqual(response.status, 502);
+  });
+
+  test('a state can only be used once', async () => {
+    const login = await startLogin();
+    assert.strictEqual((await callback(login)).status, 302);
+
+    const reused = await callback(login);
+    assert.strictEqual(reused.status, 400);
+    assert.deepStrictEqual(await reused.json(), { error: 'Invalid or expired login state' });
+  });
+
+  test('an unknown state is rejected', async () => {
+    const state = 'ab'.repeat(16);
+    const response = await callback({ state, cookie: `discord_oauth_state=${state}` });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid or expired login state' });
+  });
+
+  test('a state from another browser is rejected', async () => {
+    const login = await startLogin();
+    const other = await startLogin();
+
+    const withoutCookie = await callback({ state: login.state });
+    assert.strictEqual(withoutCookie.status, 400);
+
+    const wrongCookie = await callback({ state: login.state, cookie: other.cookie });
+    assert.strictEqual(wrongCookie.status, 400);
+    assert.deepStrictEqual(await wrongCookie.json(), { error: 'Login was not started from this browser' });
+  });
+
+  test('a multibyte state is rejected rather than crashing the comparison', async () => {
+    const response = await callback({ state: 'é', cookie: 'discord_oauth_state=a' });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Login was not started from this browser' });
+
+    const malformedCookie = await callback({ state: 'é', cookie: 'discord_oauth_state=%E0' });
+    assert.strictEqual(malformedCookie.status, 400);
+  });
+});
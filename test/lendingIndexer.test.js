@@ -0,0 +1,81 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const LENDING_CONTRACT_ABI = require('../lendingContractABI.json');
+const { createLendingIndexer } = require('../lib/lendingIndexer');
+const { createMemoryKeyValueStore } = require('../lib/kvStore');
+
+const iface = new ethers.utils.Interface(LENDING_CONTRACT_ABI.abi);
+const lendingContract = { address: '0x0000000000000000000000000000000000000001', interface: iface };
+const LENDER = '0x1111111111111111111111111111111111111111';
+const BORROWER = '0x2222222222222222222222222222222222222222';
+const NFT = '0x485242262f1e367144fe432ba858f9ef6f491334';
+
+function eventLog(name, args, blockNumber) {
+  return {
+    ...iface.encodeEventLog(iface.getEvent(name), args),
+    address: lendingContract.address,
+    blockNumber,
+    logIndex: 0,
+    transactionHash: ethers.utils.id(`${name}:${blockNumber}`)
+  };
+}
+
+// A chain whose getLogs can be made to fail for ranges starting at a given block
+function stubProvider(logs) {
+  const provider = {
+    head: 0,
+    failFrom: null,
+    async getBlockNumber() {
+      return provider.head;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      if (provider.failFrom !== null && fromBlock >= provider.failFrom) throw new Error('RPC unavailable');
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  return provider;
+}
+
+describe('lending indexer backfill', () => {
+  test('an interrupted first sync still treats the rest of the backfill as history', async () => {
+    const offer = ['1', LENDER, NFT, 0, ethers.utils.parseEther('100'), 1000, 7, true];
+    const logs = [
+      eventLog('LoanOfferCreated', offer, 110),
+      eventLog('LoanAccepted', ['1', BORROWER, ethers.utils.parseEther('101'), 1800000000], 120),
+      eventLog('LoanRepaid', ['1', BORROWER, ethers.utils.parseEther('101')], 160)
+    ];
+    const provider = stubProvider(logs);
+    const events = [];
+    const indexer = createLendingIndexer({
+      provider,
+      kv: createMemoryKeyValueStore(),
+      lendingContract,
+      startBlock: 100,
+      maxBlockRange: 25,
+      reorgDepth: 5,
+      onEvent: async (name, record, log, { initialSync }) => events.push({ name, initialSync })
+    });
+
+    // The first sync gets through two chunks before the RPC fails
+    provider.head = 170;
+    provider.failFrom = 150;
+    await indexer.poll();
+    assert.deepStrictEqual(events, [
+      { name: 'LoanOfferCreated', initialSync: true },
+      { name: 'LoanAccepted', initialSync: true }
+    ]);
+
+    // The next poll finishes the backfill and then sees a live event
+    logs.push(eventLog('LoanRepaid', ['2', BORROWER, ethers.utils.parseEther('5')], 175));
+    provider.head = 180;
+    provider.failFrom = null;
+    await indexer.poll();
+
+    assert.deepStrictEqual(events.slice(2), [
+      { name: 'LoanRepaid', initialSync: true },
+      { name: 'LoanRepaid', initialSync: false }
+    ]);
+    assert.strictEqual((await indexer.getOffer('1')).status, 'repaid');
+  });
+});
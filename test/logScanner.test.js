@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const LENDING_CONTRACT_ABI = require('../lendingContractABI.json');
+const { createLogScanner } = require('../lib/logScanner');
+const { createMemoryKeyValueStore } = require('../lib/kvStore');
+
+const iface = new ethers.utils.Interface(LENDING_CONTRACT_ABI.abi);
+const contract = { address: '0x0000000000000000000000000000000000000001', interface: iface };
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+
+function eventLog(name, args, blockNumber) {
+  return {
+    ...iface.encodeEventLog(iface.getEvent(name), args),
+    address: contract.address,
+    blockNumber,
+    logIndex: 0,
+    transactionHash: ethers.utils.id(`${name}:${blockNumber}`)
+  };
+}
+
+function stubProvider(logs) {
+  const provider = {
+    head: 0,
+    failFrom: null,
+    async getBlockNumber() {
+      return provider.head;
+    },
+    async getLogs({ fromBlock, toBlock, topics }) {
+      if (provider.failFrom !== null && fromBlock >= provider.failFrom) throw new Error('RPC unavailable');
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock && topics[0].includes(log.topics[0]));
+    }
+  };
+  return provider;
+}
+
+describe('log scanner', () => {
+  test('an interrupted first backfill keeps delivering history as initialSync', async () => {
+    const logs = [eventLog('Paused', [ACCOUNT], 110), eventLog('Paused', [ACCOUNT], 160)];
+    const provider = stubProvider(logs);
+    const scanner = createLogScanner({ provider, kv: createMemoryKeyValueStore(), contract, startBlock: 100, maxBlockRange: 25, reorgDepth: 5 });
+    const seen = [];
+    scanner.subscribe('test', { events: ['Paused'], onEvent: async (parsed, log, { initialSync }) => seen.push([log.blockNumber, initialSync]) });
+
+    provider.head = 170;
+    provider.failFrom = 150;
+    await scanner.poll();
+    assert.deepStrictEqual(seen, [[110, true]]);
+
+    logs.push(eventLog('Paused', [ACCOUNT], 175));
+    provider.head = 180;
+    provider.failFrom = null;
+    await scanner.poll();
+    assert.deepStrictEqual(seen, [[110, true], [160, true], [175, false]]);
+  });
+
+  test('a failing subscriber is retried without holding back the others', async () => {
+    const logs = [eventLog('PointsSnapshotTaken', [1], 110), eventLog('MetricsSnapshotTaken', [1, 2, 3, 4], 110)];
+    const provider = stubProvider(logs);
+    provider.head = 100;
+    const scanner = createLogScanner({ provider, kv: createMemoryKeyValueStore(), contract, startBlock: 100, reorgDepth: 5 });
+
+    let failures = 1;
+    const points = [];
+    const metrics = [];
+    scanner.subscribe('points', {
+      events: ['PointsSnapshotTaken'],
+      onEvent: async parsed => {
+        if (failures-- > 0) throw new Error('snapshot failed');
+        points.push(parsed.args.epoch.toString());
+      }
+    });
+    scanner.subscribe('metrics', { events: ['MetricsSnapshotTaken'], onEvent: async parsed => metrics.push(parsed.args.snapshotId.toString()) });
+
+    await scanner.poll();
+    provider.head = 120;
+    await scanner.poll();
+    assert.deepStrictEqual(points, []);
+    assert.deepStrictEqual(metrics, ['1']);
+    assert.strictEqual(await scanner.getCursor(), 120);
+
+    // Retried on the next poll, and the re-scanned window doesn't deliver anything twice
+    await scanner.poll();
+    assert.deepStrictEqual(points, ['1']);
+    assert.deepStrictEqual(metrics, ['1']);
+  });
+});
@@ -0,0 +1,131 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createMagicEdenProvider, createManualProvider, createFloorPriceService } = require('../lib/priceProviders');
+const { createMemoryKeyValueStore } = require('../lib/kvStore');
+
+const collection = { name: 'Test Apes', contractAddress: '0x485242262f1e367144fe432ba858f9ef6f491334' };
+
+function magicEdenBody(decimal, usd = 12.5) {
+  return {
+    collections: [{
+      floorAsk: {
+        price: {
+          amount: { decimal, usd },
+          currency: { name: 'ApeCoin', symbol: 'APE', decimals: 18 }
+        }
+      }
+    }]
+  };
+}
+
+// Stands in for Magic Eden's collections endpoint; each test sets how it answers
+describe('floor price providers against a mock Magic Eden', () => {
+  let server;
+  let baseUrl;
+  let respond;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      respond(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(magicEdenBody(10)));
+    };
+  });
+
+  const magicEden = (options = {}) => createMagicEdenProvider({ apiKey: 'test-key', baseUrl, ...options });
+
+  test('reads the floor ask and sends the API key', async () => {
+    const price = await magicEden().getFloorPrice(collection);
+
+    assert.deepStrictEqual(price, {
+      floorPrice: 10,
+      floorPriceUSD: 12.5,
+      currency: { name: 'ApeCoin', symbol: 'APE', decimals: 18 }
+    });
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer test-key');
+    assert.ok(requests[0].url.startsWith(`/collections/v7?contract=${collection.contractAddress}`));
+  });
+
+  test('returns null when the collection has no floor ask', async () => {
+    respond = (req, res) => res.end(JSON.stringify({ collections: [] }));
+    assert.strictEqual(await magicEden().getFloorPrice(collection), null);
+  });
+
+  test('throws on an HTTP error', async () => {
+    respond = (req, res) => {
+      res.writeHead(503);
+      res.end();
+    };
+    await assert.rejects(magicEden().getFloorPrice(collection), /HTTP 503/);
+  });
+
+  test('service gives up on a provider that times out', async () => {
+    respond = () => {};
+    const service = createFloorPriceService({ providers: [magicEden({ timeout: 50 })] });
+
+    const { price, sources } = await service.getFloorPrice(collection);
+    assert.strictEqual(price, null);
+    assert.strictEqual(sources[0].source, 'magiceden');
+    assert.ok(sources[0].error);
+  });
+
+  test('service uses Magic Eden when there is no override', async () => {
+    const manual = createManualProvider(createMemoryKeyValueStore());
+    const service = createFloorPriceService({ providers: [manual, magicEden()] });
+
+    const { price } = await service.getFloorPrice(collection);
+    assert.strictEqual(price.source, 'magiceden');
+    assert.strictEqual(price.floorPrice, 10);
+    assert.strictEqual(price.disputed, false);
+  });
+
+  test('a manual override wins and is flagged when Magic Eden disagrees', async () => {
+    const manual = createManualProvider(createMemoryKeyValueStore());
+    await manual.setOverride(collection.contractAddress, { floorPrice: 25, floorPriceUSD: null });
+    const service = createFloorPriceService({ providers: [manual, magicEden()] });
+
+    const { price, sources } = await service.getFloorPrice(collection);
+    assert.strictEqual(price.source, 'manual');
+    assert.strictEqual(price.floorPrice, 25);
+    assert.strictEqual(price.disputed, true);
+    assert.deepStrictEqual(sources.map(source => source.floorPrice), [25, 10]);
+  });
+
+  test('with three or more sources, a price far from the median is rejected', async () => {
+    const fixed = (name, floorPrice) => ({ name, getFloorPrice: async () => ({ floorPrice, floorPriceUSD: null, currency: null }) });
+    const service = createFloorPriceService({ providers: [fixed('outlier', 100), magicEden(), fixed('other', 11)] });
+
+    const { price, sources } = await service.getFloorPrice(collection);
+    assert.strictEqual(price.source, 'magiceden');
+    assert.strictEqual(price.floorPrice, 10);
+    assert.strictEqual(price.disputed, false);
+    assert.deepStrictEqual(sources.map(source => [source.source, source.rejected]), [
+      ['outlier', true],
+      ['magiceden', false],
+      ['other', false]
+    ]);
+  });
+
+  test('flags a price below the reference price', async () => {
+    const service = createFloorPriceService({ providers: [magicEden()], referencePrice: async () => 11 });
+
+    const { price } = await service.getFloorPrice(collection);
+    assert.strictEqual(price.belowReference, true);
+  });
+});
@@ -1,31 +1,52 @@
-// List of collections to track floor prices
+// Initial collections for the collections registry (lib/collectionRegistry.js)
+//
+// These only seed an empty registry; after that, collections are managed through the
+// /api/collections admin endpoints and synced from the lending contract.
+//
+// minCount: NFTs needed to be reported as a holder of the collection (default 1)
+// roles: Discord roles granted for holding the collection, each with its own minCount.
+//        guildId defaults to GUILD_ID; roles without a roleId are skipped.
 const TRACKED_COLLECTIONS = [
   {
     id: 1,
     name: "Ape Elite Club",
     contractAddress: "0x485242262f1e367144fe432ba858f9ef6f491334",
-    magicEdenSymbol: "apeeliteclub" // Magic Eden collection symbol/slug
+    magicEdenSymbol: "apeeliteclub", // Magic Eden collection symbol/slug
+    minCount: 1,
+    roles: [] // Ape Elite Club roles live in roleRules.js
   },
   {
     id: 2,
     name: "Gobs On Ape",
     contractAddress: "0xbebaa24108d6a03c7331464270b95278bbbe6ff7",
-    magicEdenSymbol: "gobsonape"
+    magicEdenSymbol: "gobsonape",
+    minCount: 1,
+    roles: [
+      { roleId: process.env.GOBS_ON_APE_ROLE_ID, name: "Gobs On Ape Holder", minCount: 1 }
+    ]
   },
   {
     id: 3,
     name: "Gs on Ape",
     contractAddress: "0xb3443b6bd585ba4118cae2bedb61c7ec4a8281df",
-    magicEdenSymbol: "gsonape"
+    magicEdenSymbol: "gsonape",
+    minCount: 1,
+    roles: [
+      { roleId: process.env.GS_ON_APE_ROLE_ID, name: "Gs on Ape Holder", minCount: 1 }
+    ]
   },
   {
     id: 4,
     name: "TokenGators",
     contractAddress: "0xd33edec311f8769c71f132a77f0c0796c22af1c5",
-    magicEdenSymbol: "tokengators"
+    magicEdenSymbol: "tokengators",
+    minCount: 1,
+    roles: [
+      { roleId: process.env.TOKENGATORS_ROLE_ID, name: "TokenGators Holder", minCount: 1 }
+    ]
   }
 ];
 
 module.exports = {
   TRACKED_COLLECTIONS
-}; 
\ No newline at end of file
+};
\ No newline at end of file